@@ -0,0 +1,60 @@
+/******************************************************
+ * Title:       assign-role.js                        *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Assigns a role to a user from the command      *
+ *     line, such as the first admin, who cannot be   *
+ *     made one through the API.                      *
+ *                                                    *
+ *     Usage: node bin/assign-role <username> <role>  *
+ ******************************************************/
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+
+// configure Mongoose connection
+require('../config/mongoose')
+
+const { User } = require('../models')
+const { userService } = require('../services')
+const { roles } = require('../util/permissions')
+
+const usage = 'Usage: node bin/assign-role <username> <role>\n' +
+              `Roles: ${Object.values(roles).join(', ')}.`
+
+/**
+ * Finds the ID of the user with the provided username.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} username - The username.
+ * 
+ * @returns {string|undefined} The ID, or `undefined` if the
+ *                             user does not exist.
+ */
+const idOf = async username => {
+    const user = await User.findOne({ username }, '_id')
+    return user ? String(user._id) : undefined
+}
+
+(async () => {
+    const [username, role] = process.argv.slice(2)
+    if (!username || !Object.values(roles).includes(role)) {
+        console.error(usage)
+        process.exit(1)
+    }
+    try {
+        const id = await idOf(username)
+        if (!id) throw new Error(`The user with username of "${username}" does not exist.`)
+
+        const { status, data } = await userService.changeRole(id, role)
+        if (status !== 200) throw new Error(data.context ?? data.message)
+        console.log(data.message)
+    } catch (err) {
+        console.error(`Assignment failed: ${err.message}`)
+        process.exitCode = 1
+    } finally {
+        await mongoose.disconnect()
+    }
+})()
\ No newline at end of file
@@ -0,0 +1,80 @@
+/******************************************************
+ * Title:       migrate-instructions.js               *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Turns instruction steps stored as plain        *
+ *     strings into subdocuments, gives every step    *
+ *     an ID, and rebuilds the text index on their    *
+ *     new path.                                      *
+ *                                                    *
+ *     Usage: node bin/migrate-instructions           *
+ ******************************************************/
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+
+// configure Mongoose connection
+require('../config/mongoose')
+
+const { Recipe } = require('../models')
+
+/**
+ * Wraps every step that is a plain string in a
+ * subdocument, leaving the rest of each recipe alone.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @returns {number} The number of recipes changed.
+ */
+const convertSteps = async () => {
+    const step = {
+        $cond: [{ $eq: [{ $type: '$$step' }, 'string'] }, { text: '$$step' }, '$$step']
+    }
+    const result = await Recipe.collection.updateMany(
+        { instructions: { $type: 'string' } },
+        [{ $set: { instructions: { $map: { input: '$instructions', as: 'step', in: step } } } }]
+    )
+    return result.modifiedCount
+}
+
+/**
+ * Gives an ID to every step that does not have one, so
+ * that photos can follow their step when the steps are
+ * edited.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @returns {number} The number of recipes changed.
+ */
+const identifySteps = async () => {
+    let count = 0
+    const filter = { instructions: { $elemMatch: { _id: { $exists: false } } } }
+    const cursor = Recipe.collection.find(filter, { projection: { instructions: 1 } })
+    for await (const recipe of cursor) {
+        const instructions = recipe.instructions.map(step => {
+            return step._id ? step : { _id: new mongoose.Types.ObjectId(), ...step }
+        })
+        await Recipe.collection.updateOne({ _id: recipe._id }, { $set: { instructions } })
+        count++
+    }
+    return count
+}
+
+(async () => {
+    try {
+        const count = await convertSteps()
+        console.log(`Converted the instructions of ${count} recipe(s).`)
+        const identified = await identifySteps()
+        console.log(`Gave IDs to the steps of ${identified} recipe(s).`)
+
+        // the old text index covers `instructions` instead of `instructions.text`
+        const dropped = await Recipe.syncIndexes()
+        console.log(`Rebuilt the indexes, dropping: ${dropped.join(', ') || 'none'}.`)
+    } catch (err) {
+        console.error(`Migration failed: ${err.message}`)
+        process.exitCode = 1
+    } finally {
+        await mongoose.disconnect()
+    }
+})()
\ No newline at end of file
@@ -0,0 +1,73 @@
+/************************************************************
+ * Title:       migrate-media.js                            *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com)       *
+ * Created:     10/18/2026                                  *
+ * Description:                                             *
+ *     Copies every media file from one storage             *
+ *     driver to another, for example when moving           *
+ *     from the local disk to a bucket.                     *
+ *                                                          *
+ *     Usage: node bin/migrate-media <from> <to> [--delete] *
+ ************************************************************/
+
+require('dotenv').config()
+const { drivers, createStorage } = require('../util/storage')
+
+const usage = 'Usage: node bin/migrate-media <from> <to> [--delete]\n' +
+              `Drivers: ${Object.values(drivers).join(', ')}.`
+
+/**
+ * Copies every object from one storage to another,
+ * optionally removing each from the source once it has
+ * been copied. Objects that disappear before they are
+ * read are skipped.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object}  from            - Source storage driver.
+ * @param {object}  to              - Target storage driver.
+ * @param {boolean} [discard=false] - Remove from the source.
+ * 
+ * @returns {object} The keys that were copied and the keys
+ *                   that were skipped.
+ */
+const migrate = async (from, to, discard = false) => {
+    const keys = await from.list()
+    const copied = []
+    const skipped = []
+    for (const [i, key] of keys.entries()) {
+        // the object may have been removed since it was listed
+        const bytes = await from.read(key)
+        if (bytes === undefined) {
+            skipped.push(key)
+            console.log(`[${i + 1}/${keys.length}] ${key} (skipped, no longer exists)`)
+            continue
+        }
+        await to.write(key, bytes)
+        if (discard) await from.remove(key)
+        copied.push(key)
+        console.log(`[${i + 1}/${keys.length}] ${key}`)
+    }
+    return { copied, skipped }
+}
+
+(async () => {
+    const [source, target, ...flags] = process.argv.slice(2)
+    if (!source || !target || source === target) {
+        console.error(usage)
+        process.exit(1)
+    }
+    try {
+        const from = createStorage(source)
+        const to = createStorage(target)
+        const { copied, skipped } = await migrate(from, to, flags.includes('--delete'))
+        console.log(`Migrated ${copied.length} media file(s) from ${source} to ${target}.`)
+        if (skipped.length > 0) {
+            console.log(`Skipped ${skipped.length} media file(s) that no longer exist:`)
+            skipped.forEach(key => console.log(`    ${key}`))
+        }
+    } catch (err) {
+        console.error(`Migration failed: ${err.message}`)
+        process.exit(1)
+    }
+})()
\ No newline at end of file
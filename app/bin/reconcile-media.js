@@ -0,0 +1,51 @@
+/******************************************************
+ * Title:       reconcile-media.js                    *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Reports media that storage and the database    *
+ *     disagree on, and cleans it up if asked to.     *
+ *                                                    *
+ *     Usage: node bin/reconcile-media [--clean]      *
+ ******************************************************/
+
+require('dotenv').config()
+const mongoose = require('mongoose')
+
+// configure Mongoose connection
+require('../config/mongoose')
+
+const { reconcileService } = require('../services')
+
+/**
+ * Prints every inconsistency that was found.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} context - Context from the reconcile
+ *                           service.
+ */
+const report = context => {
+    const { orphanedDirectories, orphanedFiles, missingFiles } = context
+    const { orphanedContent, miscountedContent, staleContent } = context
+    orphanedDirectories.forEach(id => console.log(`orphaned directory: ${id}`))
+    orphanedFiles.forEach(f => console.log(`orphaned file:      ${f.id}/${f.filename}`))
+    missingFiles.forEach(f => console.log(`missing file:       ${f.id}/${f.filename}`))
+    orphanedContent.forEach(name => console.log(`orphaned content:   ${name}`))
+    miscountedContent.forEach(c => {
+        console.log(`miscounted content: ${c.filename} (${c.counted} counted, ${c.actual} linked)`)
+    })
+    staleContent.forEach(stored => console.log(`stale content:      ${stored}`))
+}
+
+(async () => {
+    const clean = process.argv.slice(2).includes('--clean')
+    const { status, data } = await reconcileService.reconcile(clean)
+    await mongoose.disconnect()
+    if (status !== 200) {
+        console.error('Reconciliation failed.')
+        process.exit(1)
+    }
+    report(data.context)
+    console.log(data.message)
+})()
\ No newline at end of file
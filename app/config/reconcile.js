@@ -0,0 +1,25 @@
+/******************************************************
+ * Title:       reconcile.js                          *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Schedules a job that compares the media in     *
+ *     storage with the database every few hours,     *
+ *     when MEDIA_RECONCILE_HOURS is set. It only     *
+ *     reports, cleaning is left to the CLI.          *
+ ******************************************************/
+
+const { reconcileService } = require('../services')
+
+const hours = parseFloat(process.env.MEDIA_RECONCILE_HOURS)
+
+if (hours > 0) {
+    const job = setInterval(async () => {
+        // uploads store media before linking it, so cleaning during traffic would remove it
+        const { status, data } = await reconcileService.reconcile()
+        console.log(status === 200 ? data.message : 'Media reconciliation failed.')
+    }, hours * 3600000)
+
+    // the job alone should not keep the process alive
+    job.unref()
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+/****************************************************************
+ * Title:       conversion.js                                   *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com)           *
+ * Created:     10/18/2026                                      *
+ * Description: Controls the dataflow of conversion API routes. *
+ ****************************************************************/
+
+const { conversionService } = require('../services')
+
+/**
+ * Converts a quantity between units.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const getConversion = async (req, res) => {
+    const { quantity, unit, to, ingredient, system } = req.query
+    const { status, data } = await conversionService.convert(
+        quantity && String(quantity),
+        unit && String(unit),
+        to && String(to),
+        ingredient && String(ingredient),
+        system && String(system)
+    )
+    return res.status(status).json(data)
+}
+
+module.exports = { getConversion }
\ No newline at end of file
@@ -7,5 +7,7 @@
 
 module.exports = {
     recipeController: require('./recipe'),
-    userController: require('./user')
+    userController: require('./user'),
+    conversionController: require('./conversion'),
+    ingredientController: require('./ingredient')
 }
\ No newline at end of file
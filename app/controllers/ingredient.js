@@ -0,0 +1,23 @@
+/****************************************************************
+ * Title:       ingredient.js                                   *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com)           *
+ * Created:     10/18/2026                                      *
+ * Description: Controls the dataflow of ingredient API routes. *
+ ****************************************************************/
+
+const { ingredientService } = require('../services')
+
+/**
+ * Parses free-text ingredient lines.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const parseIngredients = async (req, res) => {
+    const { status, data } = await ingredientService.parse(req.body.lines)
+    return res.status(status).json(data)
+}
+
+module.exports = { parseIngredients }
\ No newline at end of file
@@ -5,10 +5,38 @@
  * Description: Controls the dataflow of recipe API routes. *
  ************************************************************/
 
-const { recipeService, mediaService, authService } = require('../services')
+const { recipeService, mediaService, authService, quotaService } = require('../services')
+const serveMedia = require('../util/serve-media')
 
 /**
- * Gets all recipes in the database.
+ * Builds links to the neighboring pages of a paginated
+ * listing, preserving the rest of the query.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req     - Request object from Express.
+ * @param {object} context - Pagination details from the
+ *                           service.
+ * 
+ * @returns {object} The `next` and `prev` links (`null` if
+ *                   there is no such page).
+ */
+const pageLinks = (req, context) => {
+    const { page, pages } = context
+    const link = target => {
+        const params = new URLSearchParams(req.query)
+        params.set('page', target)
+        return `${req.baseUrl}${req.path}?${params.toString()}`
+    }
+    return {
+        next: page < pages ? link(page + 1) : null,
+        prev: page > 1 ? link(Math.min(page - 1, Math.max(pages, 1))) : null
+    }
+}
+
+/**
+ * Gets a page of recipes in the database, filtered and
+ * sorted by the query parameters.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -16,16 +44,39 @@ const { recipeService, mediaService, authService } = require('../services')
  * @param {object} res - Response object from Express.
  */
 const getAllRecipes = async (req, res) => {
-    const { status, data } = await recipeService.fetch()
+    const { status, data } = await recipeService.fetch(req.query)
+    if (status !== 200) return res.status(status).json(data)
 
     // don't send Mongoose versioning field
     data.message.forEach(recipe => recipe.__v = undefined)
 
+    data.context.links = pageLinks(req, data.context)
+
+    return res.status(status).json(data)
+}
+
+/**
+ * Searches recipes by relevance to the `q` query
+ * parameter.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const searchRecipes = async (req, res) => {
+    const { status, data } = await recipeService.search(req.query.q, req.query)
+    if (status !== 200) return res.status(status).json(data)
+
+    data.context.links = pageLinks(req, data.context)
     return res.status(status).json(data)
 }
 
 /**
- * Gets a single recipe from the database by its ID.
+ * Gets a single recipe from the database by its ID. The
+ * ingredients are rescaled if the `scale` or `servings`
+ * query parameter is provided, and converted if the
+ * `units` query parameter is provided.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -34,7 +85,19 @@ const getAllRecipes = async (req, res) => {
  */
 const getRecipeById = async (req, res) => {
     const { id } = req.params
-    const { status, data } = await recipeService.fetchById(id)
+    const { scale, servings, units } = req.query
+    const adjustments = { scale, servings, units }
+    const adjusted = Object.values(adjustments).some(a => a !== undefined)
+
+    // coerce to strings so arrays and objects are rejected as invalid
+    Object.keys(adjustments).forEach(key => {
+        if (adjustments[key] !== undefined) adjustments[key] = String(adjustments[key])
+    })
+
+    const { status, data } = adjusted
+        ? await recipeService.fetchAdjusted(id, adjustments)
+        : await recipeService.fetchById(id)
+    if (status !== 200) return res.status(status).json(data)
 
     // don't send Mongoose versioning field
     data.message.__v = undefined
@@ -59,7 +122,12 @@ const postRecipe = async (req, res) => {
         req.body.prepTime,
         req.body.category,
         req.body.ingredients,
-        req.body.instructions
+        req.body.instructions,
+        req.body.yield,
+        req.body.unitSystem,
+        req.body.temperatures,
+        req.body.cookTime,
+        req.body.restTime
     )
     return res.status(status).json(data)
 }
@@ -78,12 +146,22 @@ const putRecipe = async (req, res) => {
         req.params.id,
         req.body.title,
         req.body.about,
-        req.body.uploader,
         req.body.prepTime,
         req.body.category,
         req.body.ingredients,
-        req.body.instructions
+        req.body.instructions,
+        req.body.yield,
+        req.body.unitSystem,
+        req.body.temperatures,
+        req.body.cookTime,
+        req.body.restTime
     )
+
+    // photos of removed steps are no longer linked
+    const owner = recipeService.stepMediaOwner(req.params.id)
+    for (const filename of data.context?.droppedMedia ?? []) {
+        await mediaService.remove(owner, filename)
+    }
     return res.status(status).json(data)
 }
 
@@ -96,13 +174,24 @@ const putRecipe = async (req, res) => {
  * @param {object} res - Response object from Express.
  */
 const deleteRecipe = async (req, res) => {
-    const { status, data } = await recipeService.discard(req.params.id)
+    const { id } = req.params
+    const { status, data } = await recipeService.discard(id)
+
+    // media of a deleted recipe would otherwise be orphaned
+    if (status === 200) {
+        await mediaService.unset(id)
+        await mediaService.unset(recipeService.stepMediaOwner(id))
+    }
+
     return res.status(status).json(data)
 }
 
 /**
  * Gets an image file from the database that is linked to
- * a recipe by its unique filename.
+ * a recipe by its unique filename. The size of the image
+ * can be chosen with the `size` query parameter ('thumb',
+ * 'card', or 'full'), and its format is negotiated from
+ * the `Accept` header.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -111,14 +200,12 @@ const deleteRecipe = async (req, res) => {
  */
 const getRecipeMedia = async (req, res) => {
     const { id, filename } = req.params
-    const { status, data } = await mediaService.fetch(id, filename)
+    const size = req.query.size ? String(req.query.size) : undefined
+    const accepts = types => req.accepts(types)
+    const { status, data } = await mediaService.fetch(id, filename, size, accepts)
 
     if (status !== 200) return res.status(status).json(data)
-    const file = data.message
-    const type = filename.split('.')[1] === 'png' ? 'png' : 'jpeg'
-    return res.set('Content-Type', `image/${type}`)
-              .status(status)
-              .send(file)
+    return await serveMedia(req, res, data.message)
 }
 
 /**
@@ -132,18 +219,30 @@ const getRecipeMedia = async (req, res) => {
 const postRecipeMedia = async (req, res) => {
     const { id } = req.params
 
+    // keep the uploader within their quota, even when a moderator adds the media
+    const uploader = await recipeService.uploaderOf(id) ?? req.session.username
+    const quota = await quotaService.check(uploader, req.files)
+    if (quota.status !== 200) return res.status(quota.status).json(quota.data)
+
+    // save the files before linking them, so a link never points to nothing
+    const { status, data } = await mediaService.set(id, req.files)
+    if (status !== 201 && status !== 204) return res.status(status).json(data)
+
+    // uploads checked at the same time are stored by now, so check again
+    let temp = await quotaService.check(uploader, req.files)
+
     // update recipe model with filenames
-    const temp = await recipeService.setMedia(id, req.files.cleared)
+    if (temp.status === 200) temp = await recipeService.setMedia(id, req.files.cleared)
     const recipeServiceStatus = temp.status
     const recipeServiceData = temp.data
 
-    // only defer to the media service if recipe service call succeeds
+    // let go of the files again if they went over the quota or could not be linked
     if (recipeServiceStatus !== 200) {
+        for (const filename of data.context?.linked ?? []) {
+            await mediaService.remove(id, filename)
+        }
         return res.status(recipeServiceStatus).json(recipeServiceData)
     }
-
-    // save the files to the disk
-    const { status, data } = await mediaService.set(id, req.files)
     return res.status(status).json(data)
 }
 
@@ -158,18 +257,35 @@ const postRecipeMedia = async (req, res) => {
 const putRecipeMedia = async (req, res) => {
     const { id } = req.params
 
+    // keep the uploader within their quota, counting the replaced media as gone
+    const uploader = await recipeService.uploaderOf(id) ?? req.session.username
+    const quota = await quotaService.check(uploader, req.files, id)
+    if (quota.status !== 200) return res.status(quota.status).json(quota.data)
+
+    // save the files before linking them, so a link never points to nothing
+    const { status, data } = await mediaService.set(id, req.files)
+    if (status !== 201 && status !== 204) return res.status(status).json(data)
+
+    // uploads checked at the same time are stored by now, so check again
+    let temp = await quotaService.check(uploader, req.files, id)
+
     // update recipe model with filenames
-    const temp = await recipeService.resetMedia(id, req.files.cleared)
+    if (temp.status === 200) temp = await recipeService.resetMedia(id, req.files.cleared)
     const recipeServiceStatus = temp.status
     const recipeServiceData = temp.data
 
-    // only defer to the media service if recipe service call succeeds
+    // let go of the files again if they went over the quota or could not be linked
     if (recipeServiceStatus !== 200) {
+        for (const filename of data.context?.linked ?? []) {
+            await mediaService.remove(id, filename)
+        }
         return res.status(recipeServiceStatus).json(recipeServiceData)
     }
 
-    // save the files to the disk
-    const { status, data } = await mediaService.set(id, req.files, true)
+    // the media it replaced is only released once nothing links to it
+    for (const filename of recipeServiceData.context?.replacedMedia ?? []) {
+        await mediaService.remove(id, filename)
+    }
     return res.status(status).json(data)
 }
 
@@ -199,6 +315,174 @@ const deleteRecipeMedia = async (req, res) => {
     return res.status(status).json(data)
 }
 
+/**
+ * Removes a single image from a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const deleteRecipeMediaFile = async (req, res) => {
+    const { id, filename } = req.params
+
+    // unlink the file from the recipe model
+    const temp = await recipeService.discardMedia(id, filename)
+    const recipeServiceStatus = temp.status
+    const recipeServiceData = temp.data
+
+    // only defer to the media service if recipe service call succeeds
+    if (recipeServiceStatus !== 200) {
+        return res.status(recipeServiceStatus).json(recipeServiceData)
+    }
+
+    // remove the file from the disk
+    const { status, data } = await mediaService.remove(id, filename)
+    return res.status(status).json(data)
+}
+
+/**
+ * Rearranges the images of a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const putRecipeMediaOrder = async (req, res) => {
+    const { status, data } = await recipeService.reorderMedia(
+        req.params.id,
+        req.body.order
+    )
+    return res.status(status).json(data)
+}
+
+/**
+ * Changes the caption, alt text, or cover status of a
+ * single image of a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const patchRecipeMedia = async (req, res) => {
+    // cherry-pick fields from body (more secure)
+    const { status, data } = await recipeService.changeMedia(
+        req.params.id,
+        req.params.filename,
+        req.body.caption,
+        req.body.alt,
+        req.body.cover
+    )
+    return res.status(status).json(data)
+}
+
+/**
+ * Gets the photo of an instruction step of a recipe. The
+ * size and format are chosen like those of the gallery.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const getRecipeStepMedia = async (req, res) => {
+    const { id, step } = req.params
+    const temp = await recipeService.fetchStepMedia(id, step)
+    if (temp.status !== 200) return res.status(temp.status).json(temp.data)
+
+    const { filename } = temp.data.message
+    const owner = recipeService.stepMediaOwner(id)
+    const size = req.query.size ? String(req.query.size) : undefined
+    const accepts = types => req.accepts(types)
+    const { status, data } = await mediaService.fetch(owner, filename, size, accepts)
+
+    if (status !== 200) return res.status(status).json(data)
+    return await serveMedia(req, res, data.message)
+}
+
+/**
+ * Attaches a photo to an instruction step of a recipe, in
+ * place of any photo it had. Only the first cleared image
+ * is used.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const putRecipeStepMedia = async (req, res) => {
+    const { id, step } = req.params
+    const owner = recipeService.stepMediaOwner(id)
+    const [file] = req.files.cleared
+    const files = {
+        cleared: file ? [file] : [],
+        rejected: req.files.rejected,
+        filteredFiles: req.files.filteredFiles.filter(f => f.unique === file?.unique)
+    }
+
+    // keep the uploader within their quota, even when a moderator adds the photo
+    const uploader = await recipeService.uploaderOf(id) ?? req.session.username
+    const quota = await quotaService.check(uploader, files)
+    if (quota.status !== 200) return res.status(quota.status).json(quota.data)
+
+    // save the file before linking it, so a link never points to nothing
+    const { status, data } = await mediaService.set(owner, files)
+    if (status !== 201 && status !== 204) return res.status(status).json(data)
+
+    // uploads checked at the same time are stored by now, so check again
+    let temp = await quotaService.check(uploader, files)
+
+    // update recipe model with the filename
+    const { caption, alt } = req.body
+    if (temp.status === 200) temp = await recipeService.setStepMedia(id, step, file, caption, alt)
+    const recipeServiceStatus = temp.status
+    const recipeServiceData = temp.data
+
+    // let go of the file again if it went over the quota or could not be linked
+    if (recipeServiceStatus !== 200) {
+        for (const filename of data.context?.linked ?? []) {
+            await mediaService.remove(owner, filename)
+        }
+        return res.status(recipeServiceStatus).json(recipeServiceData)
+    }
+
+    // then let go of the one it replaced
+    const replaced = recipeServiceData.context?.replacedMedia
+    if (replaced && replaced !== file.unique) await mediaService.remove(owner, replaced)
+    return res.status(status).json(data)
+}
+
+/**
+ * Removes the photo from an instruction step of a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const deleteRecipeStepMedia = async (req, res) => {
+    const { id, step } = req.params
+
+    // unlink the photo from the recipe model
+    const temp = await recipeService.unsetStepMedia(id, step)
+    const recipeServiceStatus = temp.status
+    const recipeServiceData = temp.data
+
+    // only defer to the media service if recipe service call succeeds
+    if (recipeServiceStatus !== 200) {
+        return res.status(recipeServiceStatus).json(recipeServiceData)
+    }
+
+    // other steps may still show the same photo
+    const removed = recipeServiceData.context?.removedMedia
+    if (!removed) return res.status(recipeServiceStatus).json(recipeServiceData)
+    const owner = recipeService.stepMediaOwner(id)
+    const { status, data } = await mediaService.remove(owner, removed)
+    return res.status(status).json(data)
+}
+
 /**
  * Checks that the provided user is the uploader of
  * the provided recipe.
@@ -216,6 +500,7 @@ const checkUploader = async (id, username) => {
 
 module.exports = {
     getAllRecipes,
+    searchRecipes,
     getRecipeById,
     postRecipe,
     putRecipe,
@@ -224,5 +509,11 @@ module.exports = {
     postRecipeMedia,
     putRecipeMedia,
     deleteRecipeMedia,
+    deleteRecipeMediaFile,
+    putRecipeMediaOrder,
+    patchRecipeMedia,
+    getRecipeStepMedia,
+    putRecipeStepMedia,
+    deleteRecipeStepMedia,
     checkUploader
 }
\ No newline at end of file
@@ -5,7 +5,8 @@
  * Description: Controls the dataflow of user API routes. *
  **********************************************************/
 
-const { userService, mediaService, authService } = require('../services')
+const { userService, mediaService, authService, quotaService } = require('../services')
+const serveMedia = require('../util/serve-media')
 
 /**
  * Gets all users in the database.
@@ -65,7 +66,8 @@ const postUser = async (req, res) => {
         req.body.name,
         req.body.username,
         hashedPassword,
-        req.body.email
+        req.body.email,
+        req.body.unitSystem
     )
     return res.status(status).json(data)
 }
@@ -135,15 +137,19 @@ const putUser = async (req, res) => {
         hashedPassword = authServiceData.context
     }
 
+    // admins may update other users, whose sessions are not ours to touch
+    const isSelf = await userService.checkUsername(req.params.id, req.session.username) === 0
+
     // cherry-pick fields from body (more secure)
     const { status, data } = await userService.change(
         req.params.id,
         req.body.name,
         req.body.username,
         hashedPassword,
-        req.body.email
+        req.body.email,
+        req.body.unitSystem
     )
-    if (status === 200) req.session.username = req.body.username
+    if (status === 200 && isSelf) req.session.username = req.body.username
 
     return res.status(status).json(data)
 }
@@ -158,17 +164,59 @@ const putUser = async (req, res) => {
  */
 const deleteUser = async (req, res) => {
     const { id } = req.params
+    const isSelf = await userService.checkUsername(id, req.session.username) === 0
     const { status, data } = await userService.discard(id)
 
-    // drop current session
-    if (status === 200) req.session.destroy()
+    // drop media, and the current session if the user deleted themselves
+    if (status === 200) {
+        if (isSelf) req.session.destroy()
+        await mediaService.unset(id)
+    }
+
+    return res.status(status).json(data)
+}
+
+/**
+ * Assigns a role to a user (e.g. 'moderator'), which only
+ * admins may do.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const putUserRole = async (req, res) => {
+    const { status, data } = await userService.changeRole(req.params.id, req.body.role)
+    return res.status(status).json(data)
+}
 
+/**
+ * Gets how much media a user has uploaded to their recipes
+ * and as their avatar, next to how much they may upload.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req - Request object from Express.
+ * @param {object} res - Response object from Express.
+ */
+const getUserUsage = async (req, res) => {
+    // report on the user in the route, not whoever is asking
+    const temp = await userService.fetchById(req.params.id)
+    const userServiceStatus = temp.status
+    const userServiceData = temp.data
+    if (userServiceStatus !== 200) {
+        return res.status(userServiceStatus).json(userServiceData)
+    }
+    const { status, data } = await quotaService.usage(userServiceData.message.username)
     return res.status(status).json(data)
 }
 
 /**
  * Gets an image file from the database that is linked to
- * a user by its unique filename.
+ * a user by its unique filename. The size of the image
+ * can be chosen with the `size` query parameter ('thumb',
+ * 'card', or 'full'), and its format is negotiated from
+ * the `Accept` header.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -177,14 +225,12 @@ const deleteUser = async (req, res) => {
  */
 const getUserMedia = async (req, res) => {
     const { id, filename } = req.params
-    const { status, data } = await mediaService.fetch(id, filename)
+    const size = req.query.size ? String(req.query.size) : undefined
+    const accepts = types => req.accepts(types)
+    const { status, data } = await mediaService.fetch(id, filename, size, accepts)
 
     if (status !== 200) return res.status(status).json(data)
-    const file = data.message
-    const type = filename.split('.')[1] === 'png' ? 'png' : 'jpeg'
-    return res.set('Content-Type', `image/${type}`)
-              .status(status)
-              .send(file)
+    return await serveMedia(req, res, data.message)
 }
 
 /**
@@ -199,19 +245,31 @@ const getUserMedia = async (req, res) => {
 const postUserMedia = async (req, res) => {
     const { id } = req.params
 
+    // keep the user within their quota, even when an admin uploads for them
+    const username = await userService.usernameOf(id) ?? req.session.username
+    const quota = await quotaService.check(username, req.files)
+    if (quota.status !== 200) return res.status(quota.status).json(quota.data)
+
+    // save the files before linking them, so a link never points to nothing
+    const { status, data } = await mediaService.set(id, req.files)
+    if (status !== 201 && status !== 204) return res.status(status).json(data)
+
+    // uploads checked at the same time are stored by now, so check again
+    let temp = await quotaService.check(username, req.files)
+
     // update user model with filenames
     const filename = req.files.cleared[0] ? req.files.cleared[0].unique : ''
-    const temp = await userService.setMedia(id, filename)
+    if (temp.status === 200) temp = await userService.setMedia(id, filename)
     const userServiceStatus = temp.status
     const userServiceData = temp.data
 
-    // only defer to the media service if user service call succeeds
+    // let go of the files again if they went over the quota or could not be linked
     if (userServiceStatus !== 200) {
+        for (const name of data.context?.linked ?? []) {
+            await mediaService.remove(id, name)
+        }
         return res.status(userServiceStatus).json(userServiceData)
     }
-
-    // save the files to the disk
-    const { status, data } = await mediaService.set(id, req.files)
     return res.status(status).json(data)
 }
 
@@ -226,19 +284,35 @@ const postUserMedia = async (req, res) => {
 const putUserMedia = async (req, res) => {
     const { id } = req.params
 
+    // keep the user within their quota, counting the replaced media as gone
+    const username = await userService.usernameOf(id) ?? req.session.username
+    const quota = await quotaService.check(username, req.files, id)
+    if (quota.status !== 200) return res.status(quota.status).json(quota.data)
+
+    // save the files before linking them, so a link never points to nothing
+    const { status, data } = await mediaService.set(id, req.files)
+    if (status !== 201 && status !== 204) return res.status(status).json(data)
+
+    // uploads checked at the same time are stored by now, so check again
+    let temp = await quotaService.check(username, req.files, id)
+
     // update user model with filenames
     const filename = req.files.cleared[0] ? req.files.cleared[0].unique : ''
-    const temp = await userService.resetMedia(id, filename)
+    if (temp.status === 200) temp = await userService.resetMedia(id, filename)
     const userServiceStatus = temp.status
     const userServiceData = temp.data
 
-    // only defer to the media service if user service call succeeds
+    // let go of the files again if they went over the quota or could not be linked
     if (userServiceStatus !== 200) {
+        for (const name of data.context?.linked ?? []) {
+            await mediaService.remove(id, name)
+        }
         return res.status(userServiceStatus).json(userServiceData)
     }
 
-    // save the files to the disk
-    const { status, data } = await mediaService.set(id, req.files, true)
+    // the media it replaced is only released once nothing links to it
+    const replaced = userServiceData.context?.replacedMedia
+    if (replaced) await mediaService.remove(id, replaced)
     return res.status(status).json(data)
 }
 
@@ -283,6 +357,19 @@ const checkUsername = async (id, username) => {
     return await userService.checkUsername(id, username)
 }
 
+/**
+ * Finds the role of the user with the provided username.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} username - The username.
+ * 
+ * @returns {string|undefined} The role of the user.
+ */
+const checkRole = async username => {
+    return await userService.checkRole(username)
+}
+
 module.exports = {
     getAllUsers,
     getUserById,
@@ -291,9 +378,12 @@ module.exports = {
     signOut,
     putUser,
     deleteUser,
+    putUserRole,
+    getUserUsage,
     getUserMedia,
     postUserMedia,
     putUserMedia,
     deleteUserMedia,
-    checkUsername
+    checkUsername,
+    checkRole
 }
\ No newline at end of file
@@ -15,6 +15,9 @@ const dotenv = require('dotenv').config()
 // configure Mongoose connection
 require('./config/mongoose')
 
+// keep media in storage and the database in line
+require('./config/reconcile')
+
 const app = express()
 const port = process.env.PORT ?? 8080
 const webapp = path.join(__dirname, 'webapp', 'dist')
@@ -29,8 +32,15 @@ app.use(express.json())
 app.use('/', express.static(webapp))
 
 // include API routes
-const { recipeRouter, userRouter } = require('./routes')
+const {
+    recipeRouter,
+    userRouter,
+    conversionRouter,
+    ingredientRouter
+} = require('./routes')
 app.use('/api/recipes', recipeRouter)
 app.use('/api/users', userRouter)
+app.use('/api/convert', conversionRouter)
+app.use('/api/ingredients', ingredientRouter)
 
 app.listen(port, () => console.log(`Running on port: ${port}`))
\ No newline at end of file
@@ -9,6 +9,7 @@
  ********************************************************/
 
 const quickResponse = require('../util/quick-response')
+const { can } = require('../util/permissions')
 
 /**
  * Merges the user-provided configuration with the defaults.
@@ -37,6 +38,13 @@ const quickResponse = require('../util/quick-response')
  * @param {object}        [opts.forbidden.handler]    - Function that determines how to
  *                                                      handle an forbidden action by a
  *                                                      client.
+ * @param {string[]}      [opts.permits]              - Permissions that let a client past the
+ *                                                      Mode 2 condition anyway (e.g. a
+ *                                                      moderator editing the recipe of
+ *                                                      another user).
+ * @param {object}        [opts.role]                 - Function that finds the role of the
+ *                                                      client, which is checked against
+ *                                                      `opts.permits`.
  * 
  * @returns {object} Middleware for the authority check.
  */
@@ -58,7 +66,9 @@ const mergeDefaults = (opts = {}) => {
                 const { status, data } = quickResponse(403, message)
                 return res.status(status).json(data)
             }
-        }
+        },
+        permits: [],
+        role: (req, res) => undefined
     }
     return {
         ...defaults,
@@ -68,6 +78,25 @@ const mergeDefaults = (opts = {}) => {
     }
 }
 
+/**
+ * Checks whether the role of the client grants any of the
+ * permissions that lift the Mode 2 condition.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req  - Request object from Express.
+ * @param {object} res  - Response object from Express.
+ * @param {object} opts - Merged configuration settings.
+ * 
+ * @returns {boolean} True if the client is permitted,
+ *                    false if not.
+ */
+const isPermitted = async (req, res, opts) => {
+    if (opts.permits.length === 0) return false
+    const role = await opts.role(req, res)
+    return opts.permits.some(permission => can(role, permission))
+}
+
 /**
  * Prohibits actions on a route and returns an appropriate response based on
  * configuration.
@@ -96,6 +125,13 @@ const mergeDefaults = (opts = {}) => {
  * @param {object}        [opts.forbidden.handler]    - Function that determines how to
  *                                                      handle an forbidden action by a
  *                                                      client.
+ * @param {string[]}      [opts.permits]              - Permissions that let a client past the
+ *                                                      Mode 2 condition anyway (e.g. a
+ *                                                      moderator editing the recipe of
+ *                                                      another user).
+ * @param {object}        [opts.role]                 - Function that finds the role of the
+ *                                                      client, which is checked against
+ *                                                      `opts.permits`.
  * 
  * @returns {object} Middleware for the authority check.
  */
@@ -114,7 +150,9 @@ const authFw = (opts = {}) => async (req, res, next) => {
         // user is forbidden from performing the action
         const forbiddenCheck = opts.forbidden.check
         const forbiddenHandler = opts.forbidden.handler
-        if (await forbiddenCheck(req, res)) return await forbiddenHandler(req, res)
+        if (await forbiddenCheck(req, res) && !(await isPermitted(req, res, opts))) {
+            return await forbiddenHandler(req, res)
+        }
     }
     return next()
 }
@@ -7,46 +7,38 @@
  *     and filter them out by filetype. This goes     *
  *     beyond just checking the extension to cross    *
  *     check the actual file signature in its bytes.  *
+ *     The upload is streamed rather than buffered.   *
  ******************************************************/
 
 const crypto = require('crypto')
-const path = require('path')
 const FileType = require('file-type')
+const MultipartParser = require('../util/multipart')
+const quickResponse = require('../util/quick-response')
+
+// enough of the start of a file for `file-type` to identify it
+const signatureBytes = 4100
 
 /**
- * Parses the raw HTTP multipart body.
+ * Limits on what can be uploaded in one request, in bytes
+ * (sizes) and number of files.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const defaultLimits = {
+    fileSize: 10 * 1024 * 1024,
+    totalSize: 50 * 1024 * 1024,
+    files: 10
+}
+
+/**
+ * A class to represent an upload that went over one of
+ * its limits.
  * 
- * @param {string} raw      - The raw, unparsed body as
- *                            a hex string.
- * @param {object} boundary - The multipart boundary.
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @returns {object[]} An array with the file
- *                     information.
+ * @augments Error
  */
-const parseMultipartFormData = (raw, boundary) => {
-    // convert boundary to a hex string
-    boundary = Buffer.from(boundary).toString('hex')
-    const boundaryPattern = new RegExp(`(2d){2}${boundary}(2d2d)?0d0a`, 'g')
-    return raw.replace(boundaryPattern, '|')
-              .split('|')
-              .map(rb => rb.split('0d0a0d0a'))
-              .filter(rb => rb[0] !== '')
-              .map(rb => {
-                   // match is equivalent to /(?<=filename=")[a-f\d]+(?=")/ in hex encoding
-                   const filenamePattern = /(?<=66696c656e616d653d22)[a-f\d]+(?=22)/
-
-                   const output = {}
-                   const matches = rb[0].match(filenamePattern)
-
-                   if (matches) {
-                       output.name = Buffer.from(matches[0], 'hex').toString()
-                       output.bytes = Buffer.from(rb[1].substr(0, rb[1].length - 4), 'hex')
-                   }
-                   return output
-               })
-}
+const LimitError = class extends Error {}
 
 /**
  * Checks file's bytes and flags it if necessary.
@@ -59,77 +51,168 @@ const parseMultipartFormData = (raw, boundary) => {
  *                               explicitly describes the
  *                               allowed MIME types.
  * 
- * @returns {boolean} True if the file is valid, false
- *                    otherwise.
+ * @returns {string|undefined} The MIME type of the file if
+ *                             it is valid.
  */
 const clearFile = async (file, pattern) => {
     try {
         const fileType = await FileType.fromBuffer(file.bytes)
-        return fileType !== undefined && fileType.mime.match(pattern).length > 0
+        if (fileType !== undefined && fileType.mime.match(pattern).length > 0) {
+            return fileType.mime
+        }
     } catch (err) {
-        return false
+        return undefined
     }
 }
 
 /**
- * "Promise-ified" version of the `crypto` module's
- * `randomBytes` method.
+ * Names a file after its content, so identical uploads
+ * get identical names (e.g. '9f86...08.jpeg').
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {number} length - The number of hexadecimal
- *                          bytes in the string.
+ * @param {Buffer} bytes - Bytes of the file.
+ * @param {string} mime  - MIME type of the file.
+ * 
+ * @returns {string} The SHA-256 of the bytes in hexadecimal,
+ *                   with an extension for the MIME type.
+ */
+const contentName = (bytes, mime) => {
+    const hash = crypto.createHash('sha256').update(bytes).digest('hex')
+    return `${hash}.${mime.split('/')[1]}`
+}
+
+/**
+ * Reads a multipart body as it streams in. The signature
+ * of each file is checked as soon as enough of it has
+ * arrived, and the rest of a file that fails is thrown
+ * away instead of being kept in memory.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req         - Request object from Express.
+ * @param {string} boundary    - The multipart boundary.
+ * @param {object} mimePattern - A regular expression that
+ *                               explicitly describes the
+ *                               allowed MIME types.
+ * @param {object} limits      - Limits on the upload.
  * 
- * @returns {string} The resulting byte string.
+ * @returns {object} The files and the other fields of the
+ *                   form as a `Promise`.
  */
-const randomBytes = async (length = 8) => {
+const readUpload = (req, boundary, mimePattern, limits) => {
     return new Promise((resolve, reject) => {
-        crypto.randomBytes(length, (err, buf) => {
-            if (err) return reject(err)
-            return resolve(buf.toString('hex'))
+        const files = []
+        const fields = {}
+        let received = 0
+        let current
+
+        const check = async file => {
+            file.checked = true
+            file.mime = await clearFile({ bytes: Buffer.concat(file.chunks) }, mimePattern)
+            file.ok = file.mime !== undefined
+            if (!file.ok) file.chunks = []
+        }
+
+        const parser = new MultipartParser(boundary, {
+            onPart: ({ name, filename }) => {
+                if (filename === undefined) {
+                    current = { field: name, chunks: [], size: 0 }
+                    return
+                }
+                if (files.length >= limits.files) {
+                    const message = `No more than ${limits.files} files can be` +
+                                    ' uploaded at once.'
+                    throw new LimitError(message)
+                }
+                current = { name: filename, chunks: [], size: 0, checked: false }
+
+                // browsers send an empty part when no file was chosen
+                if (filename) files.push(current)
+            },
+            onData: async chunk => {
+                current.size += chunk.length
+                if (current.field === undefined && current.size > limits.fileSize) {
+                    const message = `"${current.name}" is larger than the limit of` +
+                                    ` ${limits.fileSize} bytes per file.`
+                    throw new LimitError(message)
+                }
+                if (current.checked && !current.ok) return
+                current.chunks.push(chunk)
+                if (current.name && !current.checked && current.size >= signatureBytes) {
+                    await check(current)
+                }
+            },
+            onPartEnd: async () => {
+                if (current.field === undefined) {
+                    if (current.name && !current.checked) await check(current)
+                    return
+                }
+
+                // repeated fields are collected into an array
+                const value = Buffer.concat(current.chunks).toString()
+                const previous = fields[current.field]
+                fields[current.field] = previous === undefined
+                    ? value
+                    : [previous, value].flat()
+            }
         })
+
+        // hold the stream while each chunk is parsed and checked
+        req.on('data', async chunk => {
+            req.pause()
+            try {
+                received += chunk.length
+                if (received > limits.totalSize) {
+                    const message = `Uploads are limited to ${limits.totalSize}` +
+                                    ' bytes in total.'
+                    throw new LimitError(message)
+                }
+                await parser.write(chunk)
+                req.resume()
+            } catch (err) {
+                // drain the rest of the body without keeping it
+                req.removeAllListeners('data')
+                req.resume()
+                return reject(err)
+            }
+        })
+        req.on('end', () => {
+            if (!parser.finished) return reject(new Error('The multipart body ended early.'))
+            return resolve({ files, fields })
+        })
+        req.on('error', reject)
     })
 }
 
 /**
- * Sanitizes an array of file buffers using the
- * `file-type` module. This functionality was desired
- * because it goes beyond simply checking the file
- * extension and verifies the internal bytes of the file.
+ * Sorts the files that were read into those that were
+ * cleared, each named after its content, and those that
+ * were rejected for their MIME type. The same content is
+ * only kept once.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {object[]} files       - An array of objects
- *                                 containing the raw bytes
- *                                 of each file and original
- *                                 name.
- * @param {object}   mimePattern - A regular expression that
- *                                 explicitly describes the
- *                                 allowed MIME types.
- * 
- * @returns {object} An object containing the names and bytes
- *                   of the cleared files as well as the
- *                   names of any files that had an invalid
- *                   MIME type.
+ * @param {object[]} files - Files found by `readUpload`.
+ * 
+ * @returns {object} An object containing the names, MIME
+ *                   types, and bytes of the cleared files as
+ *                   well as the names of any files that had
+ *                   an invalid MIME type.
  */
-const sanitize = async (files, mimePattern = /^$/) => {
+const sortFiles = async files => {
     const cleared = []
     const rejected = []
     const filteredFiles = []
 
-    // scan submitted files in parallel
-    await Promise.all(files.map(async file => {
-        const ok = await clearFile(file, mimePattern)
-        if (ok) {
-            const { name, ext } = path.parse(file.name)
-            const scramble = await randomBytes(8)
-            const unique = `${name}-${scramble}${ext}`
-            cleared.push({ original: file.name, unique })
-            filteredFiles.push({ unique, ...file})
-        } else if (file.name) {
-            rejected.push(file.name)
-        }
-    }))
+    files.forEach(file => {
+        if (!file.ok) return rejected.push(file.name)
+        const bytes = Buffer.concat(file.chunks)
+        const unique = contentName(bytes, file.mime)
+        cleared.push({ original: file.name, unique, mime: file.mime })
+        if (filteredFiles.some(f => f.unique === unique)) return
+        filteredFiles.push({ unique, name: file.name, mime: file.mime, bytes })
+    })
     return { cleared, rejected, filteredFiles }
 }
 
@@ -137,34 +220,63 @@ const sanitize = async (files, mimePattern = /^$/) => {
  * Generates middleware for intercepting multipart form
  * data submitted by the user and vets the contents of each
  * file to give sort out any suspicious files that are
- * faking a file extension.
+ * faking a file extension. The body is read as it streams
+ * in, and the client is sent '413 Payload Too Large' as
+ * soon as the upload goes over a limit. Fields that are
+ * not files are added to `req.body`.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {object} mimePattern - A regular expression that matches
- *                               the acceptable MIME types.
+ * @param {object} mimePattern        - A regular expression that
+ *                                      matches the acceptable MIME
+ *                                      types.
+ * @param {object} [limits={}]        - Limits on the upload.
+ * @param {number} [limits.fileSize]  - Most bytes in one file
+ *                                      (10 MiB by default).
+ * @param {number} [limits.totalSize] - Most bytes in the whole
+ *                                      body (50 MiB by default).
+ * @param {number} [limits.files]     - Most files in one upload
+ *                                      (10 by default).
  * 
  * @returns {object} Middleware for the sanitizing process.
  */
-const bounce = mimePattern => async (req, res, next) => {
+const bounce = (mimePattern, limits = {}) => async (req, res, next) => {
     if (!mimePattern || mimePattern.constructor.name !== 'RegExp') return next()
     if (req.headers['content-length'] === '0') {
         req.files = { cleared: [], rejected: [], filteredFiles: [] }
         return next()
     }
+    limits = { ...defaultLimits, ...limits }
 
-    // holds raw bytes of multipart body
-    let data = ''
-    req.setEncoding('hex')
+    const badRequestMessage = 'The upload could not be read.'
+    const tooLargeMessage = 'The upload is too large.'
+    const contentType = req.headers['content-type'] ?? ''
+    const boundary = contentType.match(/^multipart\/form-data;.*boundary=(?:"([^"]+)"|([^;\s]+))/i)
+    if (!boundary) {
+        const context = 'Uploads must be sent as `multipart/form-data`.'
+        const { status, data } = quickResponse(400, badRequestMessage, context)
+        return res.status(status).json(data)
+    }
+
+    // refuse oversized bodies before reading any of them
+    if (Number(req.headers['content-length']) > limits.totalSize) {
+        const context = `Uploads are limited to ${limits.totalSize} bytes in total.`
+        const { status, data } = quickResponse(413, tooLargeMessage, context)
+        return res.set('Connection', 'close').status(status).json(data)
+    }
 
-    req.on('data', chunk => data += chunk)
-    req.on('end', async () => {
-        // remove excess boundaries and whitespace
-        const boundary = req.headers['content-type'].match(/(?<=boundary=).*$/)[0]
-        const allFiles = parseMultipartFormData(data, boundary)
-        req.files = await sanitize(allFiles, mimePattern)
+    try {
+        const upload = await readUpload(req, boundary[1] ?? boundary[2], mimePattern, limits)
+        req.body = { ...req.body, ...upload.fields }
+        req.files = await sortFiles(upload.files)
         return next()
-    })
+    } catch (err) {
+        const tooLarge = err instanceof LimitError
+        const { status, data } = tooLarge
+            ? quickResponse(413, tooLargeMessage, err.message)
+            : quickResponse(400, badRequestMessage, err.message)
+        return res.set('Connection', 'close').status(status).json(data)
+    }
 }
 
 module.exports = bounce
\ No newline at end of file
@@ -0,0 +1,36 @@
+/******************************************************
+ * Title:       MediaBlob.js                          *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Models stored media content using Mongoose     *
+ *     schemas. Identical uploads share one blob,     *
+ *     which remembers every entity linked to it.     *
+ ******************************************************/
+
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const mediaBlobSchema = new Schema({
+    // name of the content, the SHA-256 of its bytes (e.g. '9f86...08.jpeg')
+    _id: { type: String, match: /^[a-f\d]{64}\.\w+$/ },
+    mime: { type: String, required: true },
+
+    // size of the upload, before it was resized
+    bytes: { type: Number, default: 0 },
+
+    // IDs of the recipes and users that link to the content
+    owners: { type: [String], default: [] },
+
+    // picked when the record is created, so its files are never those of an
+    // earlier record for the same content (missing for older content)
+    location: { type: String, match: /^[a-f\d]{16}$/ }
+})
+
+mediaBlobSchema.index({ owners: 1 })
+
+mediaBlobSchema.virtual('refs').get(function() {
+    return this.owners.length
+})
+
+module.exports = mongoose.model('MediaBlob', mediaBlobSchema)
\ No newline at end of file
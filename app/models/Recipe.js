@@ -8,21 +8,78 @@
 const mongoose = require('mongoose')
 const Schema = mongoose.Schema
 
-// anything with units (amounts and durations)
+// anything with units
 const quantifiableSchema = new Schema({
     readable: { type: String, required: true },
     numeric: Number,
     unit: { type: String, required: true }
 }, { _id: false })
 
+// lengths of time, also written out for people and in ISO 8601
+const durationSchema = new Schema({
+    readable: { type: String, required: true },
+    numeric: Number,
+    unit: { type: String, required: true },
+    human: String,
+    iso: String
+}, { _id: false })
+
 const ingredientSchema = new Schema({
     name: { type: String, required: true },
     amount: {
         type: quantifiableSchema,
         required: true
-    }
+    },
+
+    // upper bound of a range (e.g. 2-3 cloves)
+    maxAmount: quantifiableSchema,
+
+    // preparation (e.g. 'finely chopped')
+    note: String
+}, { _id: false })
+
+// how much a recipe makes, either in servings or as an amount
+const yieldSchema = new Schema({
+    servings: { type: Number, min: 1 },
+    amount: quantifiableSchema,
+    description: { type: String, maxLength: 64 }
+}, { _id: false })
+
+// heat for cooking (e.g. an oven at 350°F)
+const temperatureSchema = new Schema({
+    kind: {
+        type: String,
+        enum: ['oven', 'stovetop', 'grill', 'fryer', 'internal'],
+        default: 'oven'
+    },
+    temperature: { type: quantifiableSchema, required: true },
+    note: { type: String, maxLength: 64 }
 }, { _id: false })
 
+// an image in the gallery, at most one of which is the cover
+const mediaSchema = new Schema({
+    filename: { type: String, required: true },
+    mime: String,
+    caption: { type: String, maxLength: 256 },
+    alt: { type: String, maxLength: 256 },
+    cover: { type: Boolean, default: false }
+}, { _id: false })
+
+// a step of the method, optionally with a photo, a timer and heat
+const instructionSchema = new Schema({
+    text: { type: String, required: true },
+    media: mediaSchema,
+    timer: durationSchema,
+    temperature: temperatureSchema
+})
+
+yieldSchema.pre('validate', function(next) {
+    if (this.servings === undefined && !this.amount) {
+        return next(new Error('A yield requires `servings` or an `amount`.'))
+    }
+    return next()
+})
+
 const recipeSchema = new Schema({
     title: {
         type: String,
@@ -32,7 +89,7 @@ const recipeSchema = new Schema({
         maxLength: 128,
         match: /^[\w'\/#! ]{4,}$/
     },
-    media: [String],
+    media: [mediaSchema],
     uploader: { type: String, default: 'Anon Y. Mous' },
     createdOn: { type: Date, default: Date.now() },
     modifiedOn: { type: Date, default: Date.now() },
@@ -55,14 +112,64 @@ const recipeSchema = new Schema({
             return `A recipe created by ${this.uploader}.`
         }
     },
-    prepTime: { type: quantifiableSchema, required: true },
+    prepTime: { type: durationSchema, required: true },
+    cookTime: durationSchema,
+
+    // hands-off time (e.g. rising or chilling)
+    restTime: durationSchema,
+
+    // always derived from the other times
+    totalTime: durationSchema,
     ingredients: {
         type: [ingredientSchema],
         validate: v => Array.isArray(v) && v.length > 0
     },
     instructions: {
-        type: [String],
+        type: [instructionSchema],
         validate: v => Array.isArray(v) && v.length > 0
+    },
+    yield: yieldSchema,
+    temperatures: [temperatureSchema],
+
+    // what plain volume units (e.g. 'c') mean in this recipe
+    unitSystem: {
+        type: String,
+        enum: ['us', 'imperial', 'metric'],
+        default: 'us'
+    }
+})
+
+// galleries and instructions used to be plain strings
+recipeSchema.pre('init', function(raw) {
+    if (Array.isArray(raw.media)) {
+        raw.media = raw.media.map(m => typeof m === 'string' ? { filename: m } : m)
+    }
+    if (Array.isArray(raw.instructions)) {
+        raw.instructions = raw.instructions.map(i => typeof i === 'string' ? { text: i } : i)
+    }
+})
+
+recipeSchema.pre('validate', function(next) {
+    if (this.media.filter(m => m.cover).length > 1) {
+        return next(new Error('Only one image can be the cover.'))
+    }
+    return next()
+})
+
+// full-text search, weighted toward the title and ingredients
+recipeSchema.index({
+    title: 'text',
+    about: 'text',
+    'ingredients.name': 'text',
+    'instructions.text': 'text'
+}, {
+    name: 'recipe_text',
+    default_language: 'english',
+    weights: {
+        title: 10,
+        'ingredients.name': 5,
+        about: 2,
+        'instructions.text': 1
     }
 })
 
@@ -7,6 +7,7 @@
 
 const mongoose = require('mongoose')
 const Schema = mongoose.Schema
+const { roles } = require('../util/permissions')
 
 const nameSchema = new Schema({
     first: { type: String, required: true, match: /^[a-zA-Z .'`]+$/ },
@@ -37,6 +38,20 @@ const userSchema = new Schema({
         match: /^[\w\.]+@\w+(\.\w+)+$/
     },
     media: { type: String, default: '' },
+
+    // default for plain volume units (e.g. 'c') in new recipes
+    unitSystem: {
+        type: String,
+        enum: ['us', 'imperial', 'metric'],
+        default: 'us'
+    },
+
+    // what the user may do beyond their own recipes and account
+    role: {
+        type: String,
+        enum: Object.values(roles),
+        default: roles.MEMBER
+    },
     registered: { type: Number, default: Date.now() }
 })
 
@@ -7,5 +7,6 @@
 
 module.exports = {
     Recipe: require('./Recipe'),
-    User: require('./User')
+    User: require('./User'),
+    MediaBlob: require('./MediaBlob')
 }
\ No newline at end of file
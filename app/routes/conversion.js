@@ -0,0 +1,15 @@
+/******************************************************
+ * Title:       conversion.js                         *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description: Set of API routes that convert units. *
+ ******************************************************/
+
+const express = require('express')
+const { conversionController } = require('../controllers')
+
+const conversionRouter = express.Router()
+
+conversionRouter.get('/', conversionController.getConversion)
+
+module.exports = conversionRouter
\ No newline at end of file
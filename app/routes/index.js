@@ -7,5 +7,7 @@
 
 module.exports = {
     recipeRouter: require('./recipe'),
-    userRouter: require('./user')
+    userRouter: require('./user'),
+    conversionRouter: require('./conversion'),
+    ingredientRouter: require('./ingredient')
 }
\ No newline at end of file
@@ -0,0 +1,15 @@
+/***************************************************************
+ * Title:       ingredient.js                                  *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com)          *
+ * Created:     10/18/2026                                     *
+ * Description: Set of API routes that pertain to ingredients. *
+ ***************************************************************/
+
+const express = require('express')
+const { ingredientController } = require('../controllers')
+
+const ingredientRouter = express.Router()
+
+ingredientRouter.post('/parse', ingredientController.parseIngredients)
+
+module.exports = ingredientRouter
\ No newline at end of file
@@ -6,12 +6,15 @@
  ************************************************************/
 
 const express = require('express')
-const { recipeController } = require('../controllers')
+const { recipeController, userController } = require('../controllers')
 const { bounce, authFw } = require('../middleware')
+const { mimePattern } = require('../util/image')
+const { permissions } = require('../util/permissions')
 
-// recipe routes have nested media routes
+// recipe routes have nested media routes, for the gallery and for each step
 const recipeRouter = express.Router()
 const mediaRouter = express.Router({ mergeParams: true })
+const stepMediaRouter = express.Router({ mergeParams: true })
 
 // configure authentication firewall
 const authConfig = {
@@ -23,21 +26,37 @@ const authConfig = {
             const isUploaderStatus = await recipeController.checkUploader(id, username)
             return isUploaderStatus === 1
         }
-    }
+    },
+    role: (req, res) => userController.checkRole(req.session.username)
 }
 
+// moderators can edit or delete any recipe
+const editConfig = { ...authConfig, permits: [permissions.EDIT_ANY_RECIPE] }
+const deleteConfig = { ...authConfig, permits: [permissions.DELETE_ANY_RECIPE] }
+
 recipeRouter.get('/', recipeController.getAllRecipes)
+recipeRouter.get('/search', recipeController.searchRecipes)
 recipeRouter.get('/:id', recipeController.getRecipeById)
 recipeRouter.post('/', authFw({ ...authConfig, mode: 1 }), recipeController.postRecipe)
-recipeRouter.put('/:id', authFw(authConfig), recipeController.putRecipe)
-recipeRouter.delete('/:id', authFw(authConfig), recipeController.deleteRecipe)
+recipeRouter.put('/:id', authFw(editConfig), recipeController.putRecipe)
+recipeRouter.delete('/:id', authFw(deleteConfig), recipeController.deleteRecipe)
 
 // include media routes
 recipeRouter.use('/:id/media', mediaRouter)
 
 mediaRouter.get('/:filename', recipeController.getRecipeMedia)
-mediaRouter.post('/', authFw(authConfig), bounce(/image\/(jpeg|png)/), recipeController.postRecipeMedia)
-mediaRouter.put('/', authFw(authConfig), bounce(/image\/(jpeg|png)/), recipeController.putRecipeMedia)
-mediaRouter.delete('/', authFw(authConfig), recipeController.deleteRecipeMedia)
+mediaRouter.post('/', authFw(editConfig), bounce(mimePattern), recipeController.postRecipeMedia)
+mediaRouter.put('/', authFw(editConfig), bounce(mimePattern), recipeController.putRecipeMedia)
+mediaRouter.delete('/', authFw(editConfig), recipeController.deleteRecipeMedia)
+mediaRouter.put('/order', authFw(editConfig), recipeController.putRecipeMediaOrder)
+mediaRouter.patch('/:filename', authFw(editConfig), recipeController.patchRecipeMedia)
+mediaRouter.delete('/:filename', authFw(editConfig), recipeController.deleteRecipeMediaFile)
+
+// include step media routes
+recipeRouter.use('/:id/instructions/:step/media', stepMediaRouter)
+
+stepMediaRouter.get('/', recipeController.getRecipeStepMedia)
+stepMediaRouter.put('/', authFw(editConfig), bounce(mimePattern), recipeController.putRecipeStepMedia)
+stepMediaRouter.delete('/', authFw(editConfig), recipeController.deleteRecipeStepMedia)
 
 module.exports = recipeRouter
\ No newline at end of file
@@ -8,6 +8,8 @@
 const express = require('express')
 const { userController } = require('../controllers')
 const { bounce, authFw } = require('../middleware')
+const { mimePattern } = require('../util/image')
+const { permissions } = require('../util/permissions')
 
 // user routes have nested media routes
 const userRouter = express.Router()
@@ -23,7 +25,17 @@ const authConfig = {
             const isUsernameStatus = await userController.checkUsername(id, username)
             return isUsernameStatus === 1
         }
-    }
+    },
+    role: (req, res) => userController.checkRole(req.session.username)
+}
+
+// admins can manage any user, but only admins can assign roles
+const editConfig = { ...authConfig, permits: [permissions.EDIT_ANY_USER] }
+const deleteConfig = { ...authConfig, permits: [permissions.DELETE_ANY_USER] }
+const roleConfig = {
+    unauthorized: authConfig.unauthorized,
+    permits: [permissions.ASSIGN_ROLES],
+    role: authConfig.role
 }
 
 userRouter.get('/', userController.getAllUsers)
@@ -31,15 +43,17 @@ userRouter.get('/:id', userController.getUserById)
 userRouter.post('/register', userController.postUser)
 userRouter.post('/signin', userController.signIn)
 userRouter.post('/signout', userController.signOut)
-userRouter.put('/:id', authFw(authConfig), userController.putUser)
-userRouter.delete('/:id', authFw(authConfig), userController.deleteUser)
+userRouter.put('/:id', authFw(editConfig), userController.putUser)
+userRouter.delete('/:id', authFw(deleteConfig), userController.deleteUser)
+userRouter.put('/:id/role', authFw(roleConfig), userController.putUserRole)
+userRouter.get('/:id/usage', authFw(authConfig), userController.getUserUsage)
 
 // include media routes
 userRouter.use('/:id/media', mediaRouter)
 
 mediaRouter.get('/:filename', userController.getUserMedia)
-mediaRouter.post('/', authFw(authConfig), bounce(/image\/(jpeg|png)/), userController.postUserMedia)
-mediaRouter.put('/', authFw(authConfig), bounce(/image\/(jpeg|png)/), userController.putUserMedia)
-mediaRouter.delete('/', authFw(authConfig), userController.deleteUserMedia)
+mediaRouter.post('/', authFw(editConfig), bounce(mimePattern), userController.postUserMedia)
+mediaRouter.put('/', authFw(editConfig), bounce(mimePattern), userController.putUserMedia)
+mediaRouter.delete('/', authFw(editConfig), userController.deleteUserMedia)
 
 module.exports = userRouter
\ No newline at end of file
@@ -0,0 +1,87 @@
+/******************************************************
+ * Title:       conversion.js                         *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *       Set of functions that convert quantities     *
+ *       between units.                               *
+ ******************************************************/
+
+const Quantifiable = require('../util/quantify')
+const quickResponse = require('../util/quick-response')
+const { densityOf } = require('../util/density')
+
+/**
+ * Converts a quantity to every compatible unit, or to one
+ * requested unit. Naming the ingredient allows converting
+ * between volume and mass if its density is known.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} quantity     - Readable quantity (e.g. '1 1/2').
+ * @param {string} unit         - Source unit.
+ * @param {string} [to]         - Target unit, every compatible
+ *                                unit if omitted.
+ * @param {string} [ingredient] - Name of the ingredient.
+ * @param {string} [system]     - System that plain volume
+ *                                units are measured in, either
+ *                                'us' (default), 'imperial',
+ *                                or 'metric'.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const convert = async (quantity, unit, to, ingredient, system) => {
+    const badRequestMessage = 'The quantity could not be converted.'
+    if (!quantity || !unit) {
+        const context = 'Query parameters `quantity` and `unit` are required.'
+        return quickResponse(400, badRequestMessage, context)
+    }
+    if (!isFinite(Quantifiable.parse(quantity))) {
+        const context = `"${quantity}" is not a valid quantity.`
+        return quickResponse(400, badRequestMessage, context)
+    }
+
+    // unknown units and systems cannot be built
+    let source
+    try {
+        source = Quantifiable.build(quantity, unit, system)
+    } catch (err) {
+        return quickResponse(400, badRequestMessage, err.message)
+    }
+
+    // report why volume and mass cannot be bridged
+    const known = densityOf(ingredient)
+    const density = known?.density
+    const densityContext = ingredient
+        ? known ?? `No density is known for "${ingredient}".`
+        : undefined
+
+    try {
+        const targets = to
+            ? [to]
+            : source.convertibleUnits(density).filter(u => u !== unit)
+        const conversions = targets.map(t => {
+            const result = source.to(t, density)
+            return {
+                readable: result.readable,
+                unicode: result.unicode,
+                numeric: result.value,
+                unit: result.units
+            }
+        })
+        const message = {
+            readable: source.readable,
+            unicode: source.unicode,
+            numeric: source.value,
+            unit: source.units
+        }
+        return quickResponse(200, message, { conversions, density: densityContext })
+    } catch (err) {
+        const context = densityContext && !known
+            ? `${err.message} ${densityContext}`
+            : err.message
+        return quickResponse(400, badRequestMessage, context)
+    }
+}
+
+module.exports = { convert }
\ No newline at end of file
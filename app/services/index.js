@@ -9,5 +9,9 @@ module.exports = {
     recipeService: require('./recipe'),
     userService: require('./user'),
     mediaService: require('./media'),
-    authService: require('./auth')
+    authService: require('./auth'),
+    conversionService: require('./conversion'),
+    ingredientService: require('./ingredient'),
+    reconcileService: require('./reconcile'),
+    quotaService: require('./quota')
 }
\ No newline at end of file
@@ -0,0 +1,49 @@
+/******************************************************
+ * Title:       ingredient.js                         *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Set of functions that interpret free-text      *
+ *     ingredient lines.                              *
+ ******************************************************/
+
+const parseIngredient = require('../util/ingredient-parser')
+const quickResponse = require('../util/quick-response')
+
+/**
+ * Parses free-text ingredient lines into the structure
+ * expected when creating a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string[]|string} lines - Ingredient lines, either as
+ *                                  an array or as text with one
+ *                                  ingredient per line.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const parse = async lines => {
+    const badRequestMessage = 'The ingredients could not be parsed.'
+    if (typeof lines === 'string') lines = lines.split(/\r?\n/)
+    if (!Array.isArray(lines)) {
+        const context = 'Provide `lines` as an array or as text.'
+        return quickResponse(400, badRequestMessage, context)
+    }
+
+    const parsed = []
+    const rejected = []
+    lines.filter(l => typeof l !== 'string' || l.trim()).forEach(line => {
+        try {
+            parsed.push(parseIngredient(line))
+        } catch (err) {
+            rejected.push({ line, reason: err.message })
+        }
+    })
+
+    if (parsed.length === 0) {
+        return quickResponse(400, badRequestMessage, { rejected })
+    }
+    return quickResponse(200, parsed, { rejected })
+}
+
+module.exports = { parse }
\ No newline at end of file
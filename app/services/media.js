@@ -5,81 +5,245 @@
  * Description: Manages media associated with entities. *
  ********************************************************/
 
-const path = require('path')
-const { readFile, writeFile, rm, mkdir } = require('fs/promises')
+const crypto = require('crypto')
+const { Readable } = require('stream')
+const { MediaBlob } = require('../models')
 const quickResponse = require('../util/quick-response')
+const FileType = require('file-type')
+const { sizes, mimeTypes, processImage, transcode } = require('../util/image')
+const { createStorage } = require('../util/storage')
 
-const mediaDir = process.env.MEDIA_ROOT ?? path.join(__dirname, 'media')
+const storage = createStorage()
+
+// converted images kept in memory, least recently used first
+const conversions = new Map()
+const conversionLimit = 64 * 1024 * 1024
+let conversionBytes = 0
 
 /**
- * Creates a media directory.
+ * Removes all media of an entity that was uploaded before
+ * media was shared between entities.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {string} id - ID of the entity.
+ * @param {string} id - The entity ObjectID.
  */
-const createDir = async id => {
-    try {
-        const dir = path.join(mediaDir, id)
-        await mkdir(dir, { recursive: true })
-    } catch (err) {
-        // ignore for now
-    }
+const removeDir = async id => {
+    // a missing directory is fine, but a failure is left to the caller
+    await storage.removeAll(id)
 }
 
 /**
- * Removes a media directory.
+ * Finds the key a size of a media file uploaded before
+ * media was shared between entities is kept under. Full
+ * size images sit directly under the entity, and the other
+ * sizes under the name of the size.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {string} id - The entity ObjectID.
+ * @param {string} id   - ID of the entity.
+ * @param {string} name - Name of the file.
+ * @param {string} size - Size of the image.
+ * 
+ * @returns {string} The key of the file.
  */
-const removeDir = async id => {
+const mediaKey = (id, name, size) => {
+    return size === 'full' ? `${id}/${name}` : `${id}/${size}/${name}`
+}
+
+/**
+ * Finds where the details of a media file (e.g. its MIME
+ * type) are kept.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id   - ID of the entity.
+ * @param {string} name - Name of the file.
+ * 
+ * @returns {string} The key of the details.
+ */
+const metaKey = (id, name) => `${id}/meta/${name}.json`
+
+/**
+ * Finds the key a size of shared media content is kept
+ * under, laid out like the media of an entity but under
+ * 'content' instead of its ID.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} name - Name of the content.
+ * @param {string} size - Size of the image.
+ * 
+ * @returns {string} The key of the content.
+ */
+const contentKey = (name, size) => mediaKey('content', name, size)
+
+/**
+ * Finds the name content is stored under, which starts
+ * with the location of its record when it has one.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} name       - Name of the content.
+ * @param {string} [location] - Location of its record.
+ * 
+ * @returns {string} The stored name.
+ */
+const storedName = (name, location) => location ? `${location}_${name}` : name
+
+/**
+ * Finds the name of the content kept under a stored name.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} stored - The stored name.
+ * 
+ * @returns {object} The name of the content and the
+ *                   location (if any).
+ */
+const parseStored = stored => {
+    const [, location, name] = stored.match(/^(?:([a-f\d]{16})_)?(.*)$/)
+    return { name, location }
+}
+
+// enough of the start of a file to tell its type
+const signatureBytes = 4100
+
+/**
+ * Finds the MIME type of a media file, from its details
+ * or, for media uploaded before they were kept, from the
+ * start of its bytes.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id   - ID of the entity.
+ * @param {string} name - Name of the file.
+ * @param {string} key  - Key of the file.
+ * 
+ * @returns {string|undefined} The MIME type, if known.
+ */
+const mimeOf = async (id, name, key) => {
     try {
-        const dir = path.join(mediaDir, id)
-        await rm(dir, { recursive: true, force: true })
+        return JSON.parse(await storage.read(metaKey(id, name))).mime
     } catch (err) {
-        // ignore for now
+        const stream = await storage.stream(key, { start: 0, end: signatureBytes - 1 })
+        try {
+            return (await FileType.fromStream(stream))?.mime
+        } finally {
+            stream.destroy()
+        }
     }
 }
 
 /**
- * Writes files to the media root.
+ * Writes content to storage in every size, without its
+ * metadata, unless it is already there. The full size is
+ * written last, so content is only there once it is
+ * complete.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {string} id    - ID of the entity.
- * @param {object} files - File information provided
- *                         by Bouncer.
+ * @param {object} file   - File information provided by
+ *                          Bouncer.
+ * @param {string} stored - Name to store it under.
  */
-const writeToDisk = async (id, files) => {
-    // write files to disk in parallel
-    return await Promise.all(files.map(async file => {
-        try {
-            const extension = path.extname(file.name)
-            const mediaFile = path.join(mediaDir, id, file.unique)
-            return await writeFile(mediaFile, file.bytes)
-        } catch (err) {
-            // ignore for now
-        }
+const writeContent = async (file, stored) => {
+    if (await storage.stat(contentKey(stored, 'full'))) return
+    const images = await processImage(file.bytes, file.mime)
+    const { full, ...others } = images
+    await Promise.all(Object.keys(others).map(async size => {
+        return await storage.write(contentKey(stored, size), images[size])
     }))
+    await storage.write(contentKey(stored, 'full'), full)
 }
 
 /**
- * Sets and populates a media directory for an
- * entity.
+ * Removes content from storage in every size.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {string}  id        - ID of the entity.
- * @param {object}  files     - File information provided
- *                              by Bouncer.
- * @param {boolean} overwrite - Overwrite the current
- *                              directory
+ * @param {string} stored - Stored name of the content.
+ */
+const removeContent = async stored => {
+    await Promise.all(Object.keys(sizes).map(size => storage.remove(contentKey(stored, size))))
+}
+
+/**
+ * Links content to an entity, writing it to storage if no
+ * other entity has uploaded it yet.
  * 
- * @returns {object} The results of the operation.
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}   id    - ID of the entity.
+ * @param {object[]} files - File information provided
+ *                           by Bouncer.
+ * 
+ * @returns {string[]} Names of the content that was not
+ *                     linked to the entity before.
  */
-const set = async (id, files, overwrite = false) => {
+const retain = async (id, files) => {
+    const linked = []
+
+    // files are written one at a time to keep memory use down
+    for (const file of files) {
+        // a record deleted by a release, here or on another instance, cannot be
+        // linked again, so a new one is made at a new location
+        const location = crypto.randomBytes(8).toString('hex')
+        const previous = await MediaBlob.findOneAndUpdate(
+            { _id: file.unique },
+            {
+                $addToSet: { owners: id },
+                $setOnInsert: { mime: file.mime, bytes: file.bytes.length, location }
+            },
+            { upsert: true, new: false }
+        )
+        if (!previous?.owners.includes(id)) linked.push(file.unique)
+        await writeContent(file, storedName(file.unique, previous ? previous.location : location))
+    }
+    return linked
+}
+
+/**
+ * Unlinks content from an entity, removing it from storage
+ * once nothing links to it anymore.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}   id      - ID of the entity.
+ * @param {string[]} [names] - Names of the content, defaults
+ *                             to everything the entity links
+ *                             to.
+ */
+const release = async (id, names) => {
+    const filter = names ? { _id: { $in: names }, owners: id } : { owners: id }
+    const released = (await MediaBlob.find(filter, '_id')).map(blob => blob._id)
+    await MediaBlob.updateMany({ _id: { $in: released } }, { $pull: { owners: id } })
+
+    // only delete what is still unreferenced, another upload may have linked it since,
+    // and only the files at the location of the deleted record
+    for (const name of released) {
+        const blob = await MediaBlob.findOneAndDelete({ _id: name, owners: { $size: 0 } })
+        if (blob) await removeContent(storedName(name, blob.location))
+    }
+}
+
+/**
+ * Links uploaded media to an entity. Media that is
+ * identical to something already uploaded, by this entity
+ * or any other, shares its storage. Media it replaces is
+ * left linked until the entity stops linking to it.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id    - ID of the entity.
+ * @param {object} files - File information provided
+ *                         by Bouncer.
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   names of the media the entity was not
+ *                   linked to before as context.
+ */
+const set = async (id, files) => {
     const noContentMessage = 'No media to upload for entity with ID of' +
                              ` "${id}", nothing to do.`
     const createdMessage = 'The media for entity with ID of' +
@@ -114,19 +278,15 @@ const set = async (id, files, overwrite = false) => {
         }
 
         // don't write media if there is nothing to upload
-        if (writeMedia) {
-            if (overwrite) await removeDir(id)
-            await createDir(id)
-            await writeToDisk(id, filteredFiles)
-        }
-        return quickResponse(status, message, { cleared, rejected })
+        const linked = writeMedia ? await retain(id, filteredFiles) : []
+        return quickResponse(status, message, { cleared, rejected, linked })
     } catch (err) {
         return quickResponse(500)
     }
 }
 
 /**
- * Removes a media directory from an entity.
+ * Unlinks all media from an entity.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -139,6 +299,7 @@ const unset = async id => {
                       ` "${id}" was successfully deleted.`
     try {
         await removeDir(id)
+        await release(id)
         return quickResponse(200, okMessage)
     } catch (err) {
         return quickResponse(500)
@@ -146,7 +307,9 @@ const unset = async id => {
 }
 
 /**
- * Fetches media related to the entity.
+ * Unlinks a single media file from an entity. It is only
+ * removed from storage, in every size, once nothing links
+ * to it anymore.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -155,17 +318,291 @@ const unset = async id => {
  * 
  * @returns {object} The results of the operation.
  */
-const fetch = async (id, name) => {
+const remove = async (id, name) => {
+    const okMessage = `The media with name of "${name}"` +
+                      ` for the entity with ID of "${id}"` +
+                      ' was successfully deleted.'
+    try {
+        const keys = [
+            ...Object.keys(sizes).map(size => mediaKey(id, name, size)),
+            metaKey(id, name)
+        ]
+        await Promise.all(keys.map(key => storage.remove(key)))
+        await release(id, [name])
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Lists the media kept for every entity and the content
+ * shared between them, whatever sizes of it happen to
+ * exist. Content is stale when its files are not at the
+ * location of its record (e.g. the record was deleted).
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   names of the media files of each entity
+ *                   keyed by its ID, the names of the content,
+ *                   and the stored names of stale content.
+ */
+const catalog = async () => {
+    try {
+        const media = new Map()
+        for (const key of await storage.list()) {
+            const [id, ...rest] = key.split('/')
+
+            // sizes and details sit one level below the full size
+            if (rest.length < 1 || rest.length > 2) continue
+            const name = rest.length === 1
+                ? rest[0]
+                : rest[0] === 'meta' ? rest[1].replace(/\.json$/, '') : rest[1]
+            if (!media.has(id)) media.set(id, new Set())
+            media.get(id).add(name)
+        }
+        const { content: stored = [], ...entities } = Object.fromEntries(
+            Array.from(media, ([id, names]) => [id, Array.from(names)])
+        )
+
+        // records are read after storage, since files are only written once recorded
+        const blobs = await MediaBlob.find({}, 'location')
+        const locations = new Map(blobs.map(blob => [blob._id, blob.location]))
+        const content = []
+        const staleContent = []
+        stored.forEach(storedAs => {
+            const { name, location } = parseStored(storedAs)
+            const isCurrent = locations.has(name)
+                ? locations.get(name) === location
+                : location === undefined
+            if (isCurrent) content.push(name)
+            else staleContent.push(storedAs)
+        })
+        return quickResponse(200, { entities, content, staleContent })
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Lists the entities each piece of content is linked
+ * to.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   IDs of the entities linked to each piece
+ *                   of content keyed by its name.
+ */
+const references = async () => {
+    try {
+        const blobs = await MediaBlob.find({}, 'owners')
+        return quickResponse(200, Object.fromEntries(blobs.map(b => [b._id, b.owners])))
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Replaces the entities linked to a piece of content,
+ * removing it from storage if there are none. Nothing
+ * changes if the entities recorded as linked to it are no
+ * longer the ones that were counted, since an upload or
+ * removal has happened in the meantime.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}   name          - Name of the content.
+ * @param {string[]} owners        - IDs of the entities.
+ * @param {string[]} [recorded=[]] - IDs of the entities its
+ *                                   record had when counted.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const recount = async (name, owners, recorded = []) => {
+    const okMessage = `The content with name of "${name}"` +
+                      ` is now linked to ${owners.length} entities.`
+    const conflictMessage = `The content with name of "${name}"` +
+                            ' changed since it was counted and was left alone.'
+    try {
+        if (owners.length === 0) {
+            const blob = await MediaBlob.findOneAndDelete({ _id: name, owners: recorded })
+            if (blob) {
+                await removeContent(storedName(name, blob.location))
+                return quickResponse(200, okMessage)
+            }
+
+            // content without a record has no location, and new records never lack one
+            if (await MediaBlob.exists({ _id: name })) return quickResponse(409, conflictMessage)
+            await removeContent(name)
+            return quickResponse(200, okMessage)
+        }
+
+        // content that lost its record gets its type back from its bytes
+        const blob = await MediaBlob.findById(name, 'mime location')
+        let mime = blob?.mime
+        if (!mime) {
+            const key = contentKey(storedName(name, blob?.location), 'full')
+            const stream = await storage.stream(key)
+            try {
+                mime = (await FileType.fromStream(stream))?.mime
+            } finally {
+                stream.destroy()
+            }
+        }
+        await MediaBlob.updateOne(
+            { _id: name, owners: recorded },
+            { owners, mime },
+            { upsert: true }
+        )
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        // the record was changed, so a new one could not take its place
+        if (err.code === 11000) return quickResponse(409, conflictMessage)
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Removes stale content from storage, left behind at a
+ * location no record points to anymore.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} stored - Stored name of the content.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const discard = async stored => {
+    const okMessage = `The stale content stored as "${stored}"` +
+                      ' was successfully deleted.'
+    try {
+        // locations are never reused, so stale content stays stale
+        await removeContent(stored)
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Converts an image to another format, reusing the result
+ * while the image is unchanged so that ranges and repeated
+ * requests do not convert it again.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} key  - Key of the image in storage.
+ * @param {string} tag  - Entity tag of the stored image.
+ * @param {string} mime - MIME type to convert it to.
+ * 
+ * @returns {Buffer} The converted image.
+ */
+const convert = async (key, tag, mime) => {
+    const id = `${key}:${tag}:${mime}`
+    const cached = conversions.get(id)
+    if (cached) {
+        // mark it as the most recently used
+        conversions.delete(id)
+        conversions.set(id, cached)
+        return cached
+    }
+
+    const bytes = await transcode(await storage.read(key), mime)
+    if (!conversions.has(id)) {
+        conversions.set(id, bytes)
+        conversionBytes += bytes.length
+    }
+    for (const [oldest, old] of conversions) {
+        if (conversionBytes <= conversionLimit) break
+        conversions.delete(oldest)
+        conversionBytes -= old.length
+    }
+    return bytes
+}
+
+/**
+ * Fetches media related to the entity. If the client
+ * cannot accept the format the image was uploaded in, it
+ * is converted to one that it can. Nothing is read until
+ * the file is opened, so the caller can first check
+ * whether the client already has it.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}   id            - ID of the entity.
+ * @param {string}   name          - Name of the file.
+ * @param {string}   [size='full'] - Size of the image, either
+ *                                   'thumb', 'card', or 'full'.
+ * @param {function} [accepts]     - Picks the best of a list
+ *                                   of MIME types for the
+ *                                   client (e.g. `req.accepts`
+ *                                   from Express), or `false`
+ *                                   if none will do.
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   MIME type, entity tag, and time modified
+ *                   of the image and a function to open it
+ *                   (resolves to its size and a function to
+ *                   stream a range of it).
+ */
+const fetch = async (id, name, size = 'full', accepts = types => types[0]) => {
     const notFoundMessage = `The media with name of "${name}"` +
                             ` for the entity with ID of "${id}"` +
                             ' could not be retrieved.'
+    const badRequestMessage = `The size "${size}" does not exist.`
+    if (!Object.keys(sizes).includes(size)) {
+        const context = `The size must be one of: ${Object.keys(sizes).join(', ')}.`
+        return quickResponse(400, badRequestMessage, context)
+    }
+    let key, stats, mime
     try {
-        const resultPath = path.join(mediaDir, id, name)
-        const result = await readFile(resultPath)
-        return quickResponse(200, result)
+        // shared content is only served for entities that link to it
+        const blob = await MediaBlob.findOne({ _id: name, owners: id }, 'mime location')
+        const keyOf = blob
+            ? size => contentKey(storedName(name, blob.location), size)
+            : size => mediaKey(id, name, size)
+
+        // media uploaded before resizing only has its original
+        key = keyOf(size)
+        stats = await storage.stat(key)
+        if (!stats) {
+            key = keyOf('full')
+            stats = await storage.stat(key)
+        }
+        if (!stats) return quickResponse(404, notFoundMessage)
+        mime = blob ? blob.mime : await mimeOf(id, name, key)
     } catch (err) {
-        return quickResponse(404, notFoundMessage)
+        return quickResponse(500)
+    }
+
+    // prefer the stored format, converting only when it is not accepted
+    const type = (mime && accepts([mime])) || accepts(mimeTypes)
+    if (!type) {
+        const notAcceptableMessage = `The media with name of "${name}"` +
+                                     ' is not available in an acceptable format.'
+        const context = `Available formats: ${mimeTypes.join(', ')}.`
+        return quickResponse(406, notAcceptableMessage, context)
+    }
+    const file = {
+        mime: type,
+        etag: `"${stats.tag}${type === mime ? '' : `-${type.split('/')[1]}`}"`,
+        modified: stats.modified,
+        open: async () => {
+            if (type === mime) {
+                return { size: stats.size, read: range => storage.stream(key, range) }
+            }
+
+            // converted images only exist in memory
+            const bytes = await convert(key, stats.tag, type)
+            const read = async range => Readable.from([
+                range ? bytes.subarray(range.start, range.end + 1) : bytes
+            ])
+            return { size: bytes.length, read }
+        }
     }
+    return quickResponse(200, file)
 }
 
-module.exports = { set, unset, fetch }
\ No newline at end of file
+module.exports = { set, unset, remove, catalog, references, recount, discard, fetch }
\ No newline at end of file
@@ -0,0 +1,158 @@
+/******************************************************
+ * Title:       quota.js                              *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Set of functions that track how much media     *
+ *     each user has uploaded and keep it within      *
+ *     their quota.                                   *
+ ******************************************************/
+
+const { Recipe, User, MediaBlob } = require('../models')
+const { stepMediaOwner } = require('./recipe')
+const quickResponse = require('../util/quick-response')
+
+/**
+ * How much media a user may upload across their recipes
+ * and avatar.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {number}
+ */
+const limits = {
+    files: parseInt(process.env.MEDIA_QUOTA_FILES ?? 200),
+    bytes: parseInt(process.env.MEDIA_QUOTA_BYTES ?? 500 * 1024 * 1024)
+}
+
+/**
+ * Finds every image a user has uploaded, to the galleries
+ * and steps of their recipes or as their avatar. Images
+ * that are stored but not linked yet count as well, so
+ * uploads running at the same time see each other.
+ * Identical images are only counted once, since they are
+ * only stored once.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} username - Username of the user.
+ * @param {string} [except] - ID of a recipe or user whose
+ *                            media is left out (e.g. when
+ *                            it is about to be replaced).
+ * 
+ * @returns {Map} The size of each image in bytes, keyed by
+ *                its name. Images uploaded before sizes
+ *                were recorded count as 0 bytes.
+ */
+const mediaOf = async (username, except) => {
+    const names = new Set()
+    const owners = []
+    const user = await User.findOne({ username }, 'media')
+    if (user && String(user._id) !== except) {
+        if (user.media) names.add(user.media)
+        owners.push(String(user._id))
+    }
+    const recipes = await Recipe.find({ uploader: username }, 'media instructions')
+    recipes.forEach(recipe => {
+        // replacing the gallery leaves the photos of the steps alone
+        if (String(recipe._id) !== except) {
+            recipe.media.forEach(m => names.add(m.filename))
+            owners.push(String(recipe._id))
+        }
+        recipe.instructions.filter(s => s.media).forEach(s => names.add(s.media.filename))
+        owners.push(stepMediaOwner(recipe._id))
+    })
+
+    const blobs = await MediaBlob.find({
+        $or: [{ _id: { $in: Array.from(names) } }, { owners: { $in: owners } }]
+    }, 'bytes')
+    blobs.forEach(blob => names.add(blob._id))
+    const sizes = new Map(blobs.map(blob => [blob._id, blob.bytes]))
+    return new Map(Array.from(names, name => [name, sizes.get(name) ?? 0]))
+}
+
+/**
+ * Sums up the media a user has uploaded.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {Map} media - Media from `mediaOf`.
+ * 
+ * @returns {object} The number of images and their bytes.
+ */
+const total = media => {
+    const bytes = Array.from(media.values()).reduce((sum, size) => sum + size, 0)
+    return { files: media.size, bytes }
+}
+
+/**
+ * Fetches how much media a user has uploaded, next to how
+ * much they may upload.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} username - Username of the user.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const usage = async username => {
+    try {
+        const used = total(await mediaOf(username))
+        return quickResponse(200, {
+            files: { used: used.files, limit: limits.files },
+            bytes: { used: used.bytes, limit: limits.bytes }
+        })
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Checks that an upload keeps a user within their quota.
+ * Images the user has already uploaded elsewhere are free,
+ * since they are only stored once. Going over the number
+ * of images is a '409 Conflict' and going over the bytes
+ * a '413 Payload Too Large'. Checking again once the
+ * upload is stored, before it is linked, catches other
+ * uploads that were checked at the same time.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} username  - Username of the user.
+ * @param {object} files     - File information provided
+ *                             by Bouncer.
+ * @param {string} [replace] - ID of a recipe or user whose
+ *                             media the upload replaces.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const check = async (username, files, replace) => {
+    const okMessage = `The upload keeps the user "${username}" within their quota.`
+    try {
+        const media = await mediaOf(username, replace)
+        const used = total(media)
+        const added = files.filteredFiles.filter(f => !media.has(f.unique))
+        const addedBytes = added.reduce((sum, f) => sum + f.bytes.length, 0)
+
+        // checked again once stored, the upload is already part of what is used
+        const totalFiles = used.files + added.length
+        const totalBytes = used.bytes + addedBytes
+        if (totalFiles > limits.files) {
+            const message = 'The upload would go over the limit of' +
+                            ` ${limits.files} images per user.`
+            const context = `The user "${username}" would have ${totalFiles} images.`
+            return quickResponse(409, message, context)
+        }
+        if (totalBytes > limits.bytes) {
+            const message = 'The upload would go over the limit of' +
+                            ` ${limits.bytes} bytes per user.`
+            const context = `The user "${username}" would have ${totalBytes} bytes.`
+            return quickResponse(413, message, context)
+        }
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+module.exports = { usage, check }
\ No newline at end of file
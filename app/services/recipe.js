@@ -8,9 +8,12 @@
  ******************************************************/
 
 const path = require('path')
-const { Recipe } = require('../models')
+const { Recipe, User } = require('../models')
 const Quantifiable = require('../util/quantify')
+const Rational = require('../util/rational')
 const quickResponse = require('../util/quick-response')
+const highlight = require('../util/highlight')
+const parseIngredient = require('../util/ingredient-parser')
 
 /**
  * Parses a quantifiable object from the frontend to
@@ -18,22 +21,192 @@ const quickResponse = require('../util/quick-response')
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  *
- * @param {object} input - Frontend quantifiable.
+ * @param {object}  input          - Frontend quantifiable.
+ * @param {string}  [system]       - Unit system that plain
+ *                                   volume symbols are
+ *                                   measured in.
+ * @param {boolean} [signed=false] - Allow quantities below
+ *                                   zero (e.g. temperatures).
  * 
  * @returns {object} Backend quantifiable.
  */
-const mapQuantifiable = input => {
-    if (input && input.quantity && input.unit) {
+const mapQuantifiable = (input, system, signed = false) => {
+    // a quantity of zero is still a quantity (e.g. 0 °C)
+    if (input && input.quantity !== undefined && input.quantity !== null && input.unit) {
+        // quantities are numbers or fractions (e.g. '1 1/2')
+        const quantity = Rational.parse(input.quantity)
+        if (!quantity) throw new Error(`\`${input.quantity}\` is not a quantity.`)
+        if (!signed && quantity < 0) {
+            throw new Error(`\`${input.quantity}\` is below zero.`)
+        }
+
         // leverage the unit classes for dynamic interpretation
-        const quantifiable = Quantifiable.build(input.quantity, input.unit)
+        const quantifiable = Quantifiable.build(quantity, input.unit, system)
+        return storeQuantifiable(quantifiable)
+    }
+}
+
+/**
+ * Converts a `Quantifiable` to the shape stored in the
+ * database.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object} quantifiable - A `Quantifiable`.
+ * 
+ * @returns {object} Backend quantifiable.
+ */
+const storeQuantifiable = quantifiable => {
+    return {
+        readable: quantifiable.readable,
+        numeric: quantifiable.normalized,
+        unit: quantifiable.units
+    }
+}
+
+/**
+ * Rebuilds a `Quantifiable` from the shape stored in the
+ * database.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object} stored   - Backend quantifiable.
+ * @param {string} [system] - Unit system that plain volume
+ *                            symbols are measured in.
+ * 
+ * @returns {object} A `Quantifiable`.
+ */
+const loadQuantifiable = (stored, system) => {
+    // older records carry the unit in `readable` (e.g. '4/2oz')
+    const readable = stored.readable.endsWith(stored.unit)
+        ? stored.readable.slice(0, -stored.unit.length).trim()
+        : stored.readable
+    return Quantifiable.build(readable, stored.unit, system)
+}
+
+/**
+ * Parses a length of time from the frontend to the backend.
+ * Besides a frontend quantifiable, the time may be written
+ * in ISO 8601 (e.g. 'PT1H30M') or as a compound duration
+ * (e.g. '1 hr 30 min').
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object|string} input - Frontend duration.
+ * 
+ * @returns {object} Backend duration.
+ */
+const mapDuration = input => {
+    if (typeof input === 'string') {
+        return storeDuration(Quantifiable.parseDuration(input))
+    }
+    const stored = mapQuantifiable(input)
+    return stored && storeDuration(loadQuantifiable(stored))
+}
+
+/**
+ * Converts a `TimeQuantifiable` to the shape stored in the
+ * database, which also spells out the time.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object} duration - A `TimeQuantifiable`.
+ * 
+ * @returns {object} Backend duration.
+ */
+const storeDuration = duration => {
+    if (duration.iso === undefined) {
+        throw new Error(`\`${duration.units}\` is not a unit of time.`)
+    }
+    return { ...storeQuantifiable(duration), human: duration.humanized, iso: duration.iso }
+}
+
+/**
+ * Parses a yield from the frontend to the backend.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object} input    - Frontend yield with either
+ *                            `servings` or an `amount` as a
+ *                            frontend quantifiable, plus an
+ *                            optional `description` (e.g.
+ *                            'loaves').
+ * @param {string} [system] - Unit system that plain volume
+ *                            symbols are measured in.
+ * 
+ * @returns {object} Backend yield.
+ */
+const mapYield = (input, system) => {
+    if (input && (input.servings || input.amount)) {
         return {
-            readable: quantifiable.readable,
-            numeric: quantifiable.normalized,
-            unit: quantifiable.units
+            servings: input.servings,
+            amount: mapQuantifiable(input.amount, system),
+            description: input.description
         }
     }
 }
 
+/**
+ * Parses a cooking temperature from the frontend to the
+ * backend.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object} input - Frontend temperature with a
+ *                         `temperature` as a frontend
+ *                         quantifiable, plus an optional
+ *                         `kind` (e.g. 'oven') and `note`.
+ * 
+ * @returns {object} Backend temperature.
+ */
+const mapTemperature = input => {
+    const temperature = mapQuantifiable(input?.temperature, undefined, true)
+    if (!temperature) throw new Error('A temperature requires a `temperature`.')
+    if (Quantifiable.build('0', temperature.unit).valueIn('°C') === undefined) {
+        throw new Error(`\`${temperature.unit}\` is not a unit of temperature.`)
+    }
+    return { kind: input.kind, temperature, note: input.note }
+}
+
+/**
+ * Parses an instruction step from the frontend to the
+ * backend. Photos of a step are uploaded separately.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object|string} input - Frontend step, either a line
+ *                                of text or an object with
+ *                                `text`, plus an optional
+ *                                `timer` as a duration and
+ *                                `temperature` as a frontend
+ *                                temperature. Existing steps
+ *                                keep their `_id`.
+ * 
+ * @returns {object} Backend step.
+ */
+const mapInstruction = input => {
+    if (typeof input === 'string') return { text: input }
+    return {
+        _id: input?._id,
+        text: input?.text,
+        timer: mapDuration(input?.timer),
+        temperature: input?.temperature ? mapTemperature(input.temperature) : undefined
+    }
+}
+
+/**
+ * Reads the text of an instruction step, which older
+ * recipes that are read without the model store as a
+ * plain string.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {object|string} step - Backend step.
+ * 
+ * @returns {string} The text of the step.
+ */
+const stepText = step => typeof step === 'string' ? step : step.text
+
 /**
  * Coerces a starter object into a recipe. The final
  * result should meet the requirements for the `Recipe`
@@ -47,17 +220,60 @@ const mapQuantifiable = input => {
  */
 const buildRecipe = builder => {
     return new Promise((resolve, reject) => {
-        // build preparation time if it exists
-        builder.prepTime = mapQuantifiable(builder.prepTime)
+        // plain volume symbols (e.g. 'c') are measured in this system
+        const system = builder.unitSystem
+
+        // build times if they exist, then add them up
+        try {
+            builder.prepTime = mapDuration(builder.prepTime)
+            builder.cookTime = mapDuration(builder.cookTime)
+            builder.restTime = mapDuration(builder.restTime)
+            const times = [builder.prepTime, builder.cookTime, builder.restTime]
+                .filter(t => t)
+                .map(t => loadQuantifiable(t))
+            builder.totalTime = times.length > 0
+                ? storeDuration(Quantifiable.totalTime(times))
+                : undefined
+        } catch (err) {
+            return reject(err)
+        }
+
+        // build yield if it exists
+        builder.yield = mapYield(builder.yield, system)
+
+        // build cooking temperatures if they exist
+        if (builder.temperatures) {
+            try {
+                builder.temperatures = builder.temperatures.map(mapTemperature)
+            } catch (err) {
+                return reject(err)
+            }
+        }
 
-        // build ingredients if they exist
+        // build instruction steps if they exist
+        if (builder.instructions) {
+            try {
+                builder.instructions = builder.instructions.map(mapInstruction)
+            } catch (err) {
+                return reject(err)
+            }
+        }
+
+        // build ingredients if they exist, parsing any free-text lines
         if (builder.ingredients) {
-            builder.ingredients = builder.ingredients.map(i => {
-                return {
-                    name: i.name,
-                    amount: mapQuantifiable(i.amount)
-                }
-            })
+            try {
+                builder.ingredients = builder.ingredients.map(i => {
+                    if (typeof i === 'string') i = parseIngredient(i)
+                    return {
+                        name: i.name,
+                        amount: mapQuantifiable(i.amount, system),
+                        maxAmount: mapQuantifiable(i.maxAmount, system),
+                        note: i.note
+                    }
+                })
+            } catch (err) {
+                return reject(err)
+            }
         }
         return resolve(builder)
     })
@@ -76,17 +292,376 @@ const buildRecipe = builder => {
 const objectIdIsValid = id => id.match(/^[a-f\d]{24}$/i)
 
 /**
- * Fetches all recipes and returns the results
- * to the controller to be parsed.
+ * Escapes a string so it can be safely embedded in a
+ * regular expression.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} text - Raw text.
+ * 
+ * @returns {string} Escaped text.
+ */
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Parses a date from a query parameter.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} name  - Name of the query parameter.
+ * @param {string} value - Value of the query parameter.
+ * 
+ * @returns {Date} The parsed date.
+ */
+const parseDateParam = (name, value) => {
+    const date = new Date(value)
+    if (isNaN(date)) throw new Error(`Query parameter \`${name}\` must be a date.`)
+    return date
+}
+
+/**
+ * Parses a positive integer from a query parameter.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} name         - Name of the query parameter.
+ * @param {string} value        - Value of the query parameter.
+ * @param {number} defaultValue - Value used if the parameter
+ *                                is missing.
+ * 
+ * @returns {number} The parsed integer.
+ */
+const parseIntParam = (name, value, defaultValue) => {
+    if (value === undefined) return defaultValue
+    const number = Number(value)
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`Query parameter \`${name}\` must be a positive integer.`)
+    }
+    return number
+}
+
+/**
+ * Translates the query parameters of a request into a
+ * Mongoose filter, sort, and pagination settings.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
+ * @param {object} [query={}]             - Query parameters.
+ * @param {string} [query.category]       - Comma-separated categories.
+ * @param {string} [query.uploader]       - Username of the uploader.
+ * @param {string} [query.ingredient]     - Part of an ingredient name.
+ * @param {string} [query.maxPrepTime]    - Maximum preparation time
+ *                                          in minutes.
+ * @param {string} [query.maxTotalTime]   - Maximum total time in
+ *                                          minutes.
+ * @param {string} [query.createdAfter]   - Lower bound of the creation
+ *                                          date.
+ * @param {string} [query.createdBefore]  - Upper bound of the creation
+ *                                          date.
+ * @param {string} [query.modifiedAfter]  - Lower bound of the
+ *                                          modification date.
+ * @param {string} [query.modifiedBefore] - Upper bound of the
+ *                                          modification date.
+ * @param {string} [query.sort]           - Comma-separated sort fields,
+ *                                          prefixed with '-' for
+ *                                          descending order.
+ * @param {string} [query.page]           - Page number (starts at 1).
+ * @param {string} [query.limit]          - Number of recipes per page.
+ * 
+ * @returns {object} The filter, sort, page, and limit.
+ */
+const buildListing = (query = {}) => {
+    const filter = {}
+
+    // coerce to strings so operators cannot be injected
+    if (query.category) filter.category = { $in: String(query.category).split(',') }
+    if (query.uploader) filter.uploader = String(query.uploader)
+    if (query.ingredient) {
+        const pattern = new RegExp(escapeRegExp(String(query.ingredient)), 'i')
+        filter['ingredients.name'] = pattern
+    }
+    if (query.maxPrepTime) {
+        const maxPrepTime = Number(query.maxPrepTime)
+        if (isNaN(maxPrepTime)) {
+            throw new Error('Query parameter `maxPrepTime` must be a number.')
+        }
+        filter['prepTime.numeric'] = { $lte: maxPrepTime }
+    }
+    if (query.maxTotalTime) {
+        const maxTotalTime = Number(query.maxTotalTime)
+        if (isNaN(maxTotalTime)) {
+            throw new Error('Query parameter `maxTotalTime` must be a number.')
+        }
+
+        // older recipes only have a preparation time
+        filter.$or = [
+            { 'totalTime.numeric': { $lte: maxTotalTime } },
+            { totalTime: { $exists: false }, 'prepTime.numeric': { $lte: maxTotalTime } }
+        ]
+    }
+
+    // date ranges share the same shape
+    const ranges = {
+        createdOn: ['createdAfter', 'createdBefore'],
+        modifiedOn: ['modifiedAfter', 'modifiedBefore']
+    }
+    Object.entries(ranges).forEach(([field, [after, before]]) => {
+        const range = {}
+        if (query[after]) range.$gte = parseDateParam(after, query[after])
+        if (query[before]) range.$lte = parseDateParam(before, query[before])
+        if (Object.keys(range).length > 0) filter[field] = range
+    })
+
+    // only allow sorting on a known set of fields
+    const sortable = {
+        title: 'title',
+        category: 'category',
+        createdOn: 'createdOn',
+        modifiedOn: 'modifiedOn',
+        prepTime: 'prepTime.numeric',
+        cookTime: 'cookTime.numeric',
+        totalTime: 'totalTime.numeric'
+    }
+    const sort = {}
+    const sortFields = query.sort ? String(query.sort).split(',') : ['-createdOn']
+    sortFields.forEach(s => {
+        const descending = s.startsWith('-')
+        const field = sortable[descending ? s.substring(1) : s]
+        if (!field) throw new Error(`Cannot sort by "${s}".`)
+        sort[field] = descending ? -1 : 1
+    })
+
+    // `_id` breaks ties so pages are stable
+    sort._id = sort._id ?? 1
+
+    const page = parseIntParam('page', query.page, 1)
+    const limit = Math.min(parseIntParam('limit', query.limit, 20), 100)
+    return { filter, sort, page, limit }
+}
+
+/**
+ * Fetches a page of recipes matching the provided query
+ * and returns the results to the controller to be parsed.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} [query={}] - Query parameters of the request,
+ *                              see `buildListing`.
+ * 
  * @returns {object} The results of the query.
  */
-const fetch = async () => {
+const fetch = async (query = {}) => {
+    const badRequestMessage = 'The recipes could not be retrieved.'
+    let listing
     try {
-        const data = await Recipe.find()
-        return quickResponse(200, data)
+        listing = buildListing(query)
+    } catch (err) {
+        return quickResponse(400, badRequestMessage, err.message)
+    }
+
+    try {
+        const { filter, sort, page, limit } = listing
+        const [data, total] = await Promise.all([
+            Recipe.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+            Recipe.countDocuments(filter)
+        ])
+        const pages = Math.ceil(total / limit)
+        return quickResponse(200, data, {
+            total,
+            count: data.length,
+            page,
+            pages,
+            limit
+        })
+    } catch (err) {
+        // this should never happen
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Finds where the search terms appear in a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object}   recipe      - The recipe.
+ * @param {string[]} searchTerms - Terms from the `highlight`
+ *                                 utility.
+ * 
+ * @returns {object[]} Each field that matched with a snippet
+ *                     of the matching text.
+ */
+const findHighlights = (recipe, searchTerms) => {
+    const fields = {
+        title: [recipe.title],
+        about: [recipe.about],
+        ingredients: recipe.ingredients.map(i => i.name),
+        instructions: recipe.instructions.map(stepText)
+    }
+    return Object.entries(fields).flatMap(([field, texts]) => {
+        return texts.map(text => highlight.snippet(text, searchTerms))
+                    .filter(snippet => snippet !== undefined)
+                    .map(snippet => ({ field, snippet }))
+    })
+}
+
+/**
+ * Builds an aggregation expression that scores a recipe
+ * found by partial words only, mirroring the weights of
+ * the text index.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {RegExp} pattern - Pattern from the `highlight`
+ *                           utility.
+ * 
+ * @returns {object} The relevance score expression.
+ */
+const partialScore = pattern => {
+    const matches = input => ({
+        $size: { $regexFindAll: { input: { $ifNull: [input, ''] }, regex: pattern } }
+    })
+    const matchesEach = (path, text) => ({
+        $reduce: {
+            input: { $ifNull: [path, []] },
+            initialValue: 0,
+            in: { $add: ['$$value', matches(text)] }
+        }
+    })
+
+    // steps used to be plain strings
+    const stepText = {
+        $cond: [{ $eq: [{ $type: '$$this' }, 'string'] }, '$$this', '$$this.text']
+    }
+    return {
+        $add: [
+            { $multiply: [10, matches('$title')] },
+            { $multiply: [5, matchesEach('$ingredients', '$$this.name')] },
+            { $multiply: [2, matches('$about')] },
+            matchesEach('$instructions', stepText)
+        ]
+    }
+}
+
+// how many partial matches are ranked per trip to the database
+const partialBatch = 100
+
+/**
+ * Pages the recipes that only match partial words. They
+ * are ranked by the database, and whole word matches are
+ * skipped over since they are listed first.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} text    - The text index query.
+ * @param {object} match   - The partial word query.
+ * @param {RegExp} pattern - Pattern from the `highlight`
+ *                           utility.
+ * @param {number} skip    - Number of partial matches to
+ *                           skip.
+ * @param {number} limit   - Number of partial matches to
+ *                           keep.
+ * 
+ * @returns {object[]} The page of recipes with their scores.
+ */
+const partialPage = async (text, match, pattern, skip, limit) => {
+    const ranked = []
+    for (let offset = 0; ranked.length < skip + limit; offset += partialBatch) {
+        const batch = await Recipe.aggregate([
+            { $match: match },
+            { $project: { score: partialScore(pattern) } },
+            { $sort: { score: -1, _id: 1 } },
+            { $skip: offset },
+            { $limit: partialBatch }
+        ])
+        const found = await Recipe.find({ ...text, _id: { $in: batch.map(r => r._id) } }, '_id')
+        const foundIds = new Set(found.map(r => String(r._id)))
+        ranked.push(...batch.filter(r => !foundIds.has(String(r._id))))
+        if (batch.length < partialBatch) break
+    }
+
+    const wanted = ranked.slice(skip, skip + limit)
+    if (wanted.length === 0) return []
+    const recipes = await Recipe.find({ _id: { $in: wanted.map(r => r._id) } }).lean()
+    const byId = new Map(recipes.map(r => [String(r._id), r]))
+    return wanted.filter(r => byId.has(String(r._id)))
+                 .map(r => ({ ...byId.get(String(r._id)), score: r.score }))
+}
+
+/**
+ * Searches recipes by relevance to a free-text query.
+ * Whole words (and their plurals) are found through the text
+ * index, then recipes that only match partial words are
+ * ranked after them.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} q             - The search text.
+ * @param {object} [query={}]    - Query parameters of the request.
+ * @param {string} [query.page]  - Page number (starts at 1).
+ * @param {string} [query.limit] - Number of results per page.
+ * 
+ * @returns {object} The results of the search.
+ */
+const search = async (q, query = {}) => {
+    const badRequestMessage = 'The recipes could not be searched.'
+    const searchTerms = highlight.terms(q ?? '')
+    if (searchTerms.length === 0) {
+        return quickResponse(400, badRequestMessage, 'Query parameter `q` is required.')
+    }
+
+    let page, limit
+    try {
+        page = parseIntParam('page', query.page, 1)
+        limit = Math.min(parseIntParam('limit', query.limit, 20), 100)
+    } catch (err) {
+        return quickResponse(400, badRequestMessage, err.message)
+    }
+
+    try {
+        const score = { $meta: 'textScore' }
+        const text = { $text: { $search: String(q) } }
+        const skip = (page - 1) * limit
+
+        // whole word matches are paged by the database
+        const exactTotal = await Recipe.countDocuments(text)
+        const exact = skip < exactTotal
+            ? await Recipe.find(text, { score }).sort({ score }).skip(skip).limit(limit).lean()
+            : []
+
+        // anything the text index missed is matched on word prefixes
+        const pattern = highlight.pattern(searchTerms)
+        const match = {
+            $or: [
+                { title: pattern },
+                { about: pattern },
+                { 'ingredients.name': pattern },
+                { 'instructions.text': pattern },
+
+                // steps used to be plain strings
+                { instructions: pattern }
+            ]
+        }
+        const partialTotal = await Recipe.countDocuments(match)
+            - await Recipe.countDocuments({ ...text, ...match })
+
+        // partial matches fill the pages after the whole word matches
+        const start = Math.max(0, skip - exactTotal)
+        const partial = exact.length < limit
+            ? await partialPage(text, match, pattern, start, limit - exact.length)
+            : []
+        const total = exactTotal + partialTotal
+        const data = [...exact, ...partial].map(recipe => {
+            const { score, __v, ...rest } = recipe
+            return { recipe: rest, score, highlights: findHighlights(rest, searchTerms) }
+        })
+        return quickResponse(200, data, {
+            total,
+            count: data.length,
+            page,
+            pages: Math.ceil(total / limit),
+            limit
+        })
     } catch (err) {
         // this should never happen
         return quickResponse(500)
@@ -116,6 +691,120 @@ const fetchById = async id => {
     }
 }
 
+/**
+ * Fetches a single recipe by its ID and adjusts it for
+ * presentation without changing what is stored.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id                 - The ID of the recipe.
+ * @param {object} [options={}]       - Adjustments to make.
+ * @param {string} [options.scale]    - Factor to multiply every
+ *                                      ingredient amount by (e.g.
+ *                                      '2' or '1/2').
+ * @param {string} [options.servings] - Whole number of
+ *                                      servings to scale the
+ *                                      recipe to, instead of a
+ *                                      factor.
+ * @param {string} [options.units]    - Measurement system to
+ *                                      express amounts and
+ *                                      temperatures in, either
+ *                                      'metric' or 'imperial'.
+ * 
+ * @returns {object} The results of the query.
+ */
+const fetchAdjusted = async (id, options = {}) => {
+    const badRequestMessage = `The recipe with ID of "${id}"` +
+                              ' could not be adjusted.'
+    if (options.scale !== undefined && options.servings !== undefined) {
+        const context = 'Only one of `scale` or `servings` may be provided.'
+        return quickResponse(400, badRequestMessage, context)
+    }
+    const { units } = options
+    if (units !== undefined && !['metric', 'imperial'].includes(units)) {
+        const context = 'Query parameter `units` must be "metric" or "imperial".'
+        return quickResponse(400, badRequestMessage, context)
+    }
+
+    const temp = await fetchById(id)
+    if (temp.status !== 200) return temp
+    const recipe = temp.data.message.toObject()
+    const system = recipe.unitSystem
+
+    try {
+        let scale = Quantifiable.parse(options.scale ?? '1')
+        let servings
+        if (options.servings !== undefined) {
+            servings = Quantifiable.parse(options.servings)
+            if (!Number.isInteger(servings) || servings <= 0) {
+                const context = 'Query parameter `servings` must be a positive whole number.'
+                return quickResponse(400, badRequestMessage, context)
+            }
+
+            // amount yields (e.g. '2 loaves') scale by their count
+            const recipeYield = recipe.yield
+            const yieldAmount = recipeYield?.amount && loadQuantifiable(recipeYield.amount, system)
+            const current = recipeYield?.servings ?? yieldAmount?.value
+            if (!current) {
+                const context = 'The recipe does not specify a yield to scale from.'
+                return quickResponse(400, badRequestMessage, context)
+            }
+            scale = servings / current
+        }
+        if (!isFinite(scale) || scale <= 0) {
+            const context = 'Query parameter `scale` must be a positive number.'
+            return quickResponse(400, badRequestMessage, context)
+        }
+
+        // rescale in the units that read best afterwards
+        const adjust = stored => {
+            const scaled = loadQuantifiable(stored, system).scale(scale)
+            return storeQuantifiable(units ? scaled.inSystem(units) : scaled.bestFit())
+        }
+        recipe.ingredients = recipe.ingredients.map(i => {
+            const adjusted = { ...i, amount: adjust(i.amount) }
+            if (i.maxAmount) adjusted.maxAmount = adjust(i.maxAmount)
+            return adjusted
+        })
+        // servings stay whole, the number asked for or the nearest to the scaled one
+        if (recipe.yield?.servings) {
+            const scaled = Math.max(1, Math.round(recipe.yield.servings * scale))
+            recipe.yield.servings = servings ?? scaled
+        }
+        if (recipe.yield?.amount) {
+            const amount = loadQuantifiable(recipe.yield.amount, system).scale(scale)
+            recipe.yield.amount = storeQuantifiable(amount)
+        }
+
+        // time reads the same in every system, but may still be tidied up
+        if (units) {
+            const times = ['prepTime', 'cookTime', 'restTime', 'totalTime']
+            times.filter(t => recipe[t]).forEach(t => {
+                recipe[t] = storeDuration(loadQuantifiable(recipe[t]).bestFit())
+            })
+
+            // temperatures convert but never scale
+            const convert = t => {
+                const converted = loadQuantifiable(t.temperature).inSystem(units)
+                return { ...t, temperature: storeQuantifiable(converted) }
+            }
+            recipe.temperatures = recipe.temperatures?.map(convert)
+            recipe.instructions = recipe.instructions?.map(step => {
+                const adjusted = { ...step }
+                if (step.timer) {
+                    adjusted.timer = storeDuration(loadQuantifiable(step.timer).bestFit())
+                }
+                if (step.temperature) adjusted.temperature = convert(step.temperature)
+                return adjusted
+            })
+        }
+        return quickResponse(200, recipe, { scale, units })
+    } catch (err) {
+        // stored amounts that no longer load (e.g. an unregistered unit)
+        return quickResponse(500)
+    }
+}
+
 /**
  * Creates a recipe and adds it to the database.
  * 
@@ -126,15 +815,34 @@ const fetchById = async id => {
  * @param {string}   uploader     - Username of the user that
  *                                  uploaded the recipe.
  * @param {object}   prepTime     - Recipe preparation time
- *                                  as a `Quantifiable`.
+ *                                  as a `Quantifiable` or a
+ *                                  duration (e.g. 'PT1H30M').
  * @param {string}   category     - Recipe category, either
  *                                  'breakfast', 'lunch',
  *                                  'dinner', 'appetizer', or
  *                                  'dessert'.
  * @param {object[]} ingredients  - Recipe ingredients with each
  *                                  ingredient having a
- *                                  `Quantifiable` and name.
- * @param {string[]} instructions - Recipe instruction steps.
+ *                                  `Quantifiable` and name, or
+ *                                  a free-text line.
+ * @param {object[]} instructions - Recipe instruction steps, each
+ *                                  a line of text or with `text`
+ *                                  plus an optional `timer` and
+ *                                  `temperature`.
+ * @param {object}   recipeYield  - How much the recipe makes,
+ *                                  in `servings` or as an
+ *                                  `amount`.
+ * @param {string}   unitSystem   - System that plain volume
+ *                                  units are measured in,
+ *                                  either 'us', 'imperial',
+ *                                  or 'metric'.
+ * @param {object[]} temperatures - Cooking temperatures, each
+ *                                  with a `temperature` as a
+ *                                  `Quantifiable`.
+ * @param {object}   cookTime     - Recipe cooking time as a
+ *                                  `Quantifiable` or a duration.
+ * @param {object}   restTime     - Recipe resting time as a
+ *                                  `Quantifiable` or a duration.
  * 
  * @returns {object} The results of the operation.
  */
@@ -145,12 +853,23 @@ const create = async (
     prepTime,
     category,
     ingredients,
-    instructions
+    instructions,
+    recipeYield,
+    unitSystem,
+    temperatures,
+    cookTime,
+    restTime
 ) => {
     const badRequestMessage = 'The recipe could not be created.'
     const createdMessage = 'The recipe with ID of "<>"' +
                            ' was successfully created.'
     try {
+        // fall back on the uploader's preferred system
+        if (!unitSystem) {
+            const account = await User.findOne({ username: uploader })
+            unitSystem = account?.unitSystem
+        }
+
         const builder = {
             title,
             about,
@@ -158,7 +877,12 @@ const create = async (
             prepTime,
             category,
             ingredients,
-            instructions
+            instructions,
+            yield: recipeYield,
+            unitSystem,
+            temperatures,
+            cookTime,
+            restTime
         }
         const newRecipe = new Recipe(await buildRecipe(builder))
         await newRecipe.save()
@@ -169,37 +893,64 @@ const create = async (
 }
 
 /**
- * Modifies a recipe in the database.
+ * Modifies a recipe in the database. The uploader is kept,
+ * so an edit by a moderator cannot hand the recipe (and its
+ * media quota) to someone else.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @param {string}   id           - Recipe ID.
  * @param {string}   title        - Recipe title.
  * @param {string}   about        - Recipe description.
- * @param {string}   uploader     - Username of the user that
- *                                  uploaded the recipe.
  * @param {object}   prepTime     - Recipe preparation time
- *                                  as a `Quantifiable`.
+ *                                  as a `Quantifiable` or a
+ *                                  duration (e.g. 'PT1H30M').
  * @param {string}   category     - Recipe category, either
  *                                  'breakfast', 'lunch',
  *                                  'dinner', 'appetizer', or
  *                                  'dessert'.
  * @param {object[]} ingredients  - Recipe ingredients with each
  *                                  ingredient having a
- *                                  `Quantifiable` and name.
- * @param {string[]} instructions - Recipe instruction steps.
+ *                                  `Quantifiable` and name, or
+ *                                  a free-text line.
+ * @param {object[]} instructions - Recipe instruction steps, each
+ *                                  a line of text or with `text`
+ *                                  plus an optional `timer` and
+ *                                  `temperature`. Steps that
+ *                                  keep the `_id` they were
+ *                                  fetched with keep their photo.
+ * @param {object}   recipeYield  - How much the recipe makes,
+ *                                  in `servings` or as an
+ *                                  `amount`.
+ * @param {string}   unitSystem   - System that plain volume
+ *                                  units are measured in,
+ *                                  either 'us', 'imperial',
+ *                                  or 'metric'.
+ * @param {object[]} temperatures - Cooking temperatures, each
+ *                                  with a `temperature` as a
+ *                                  `Quantifiable`.
+ * @param {object}   cookTime     - Recipe cooking time as a
+ *                                  `Quantifiable` or a duration.
+ * @param {object}   restTime     - Recipe resting time as a
+ *                                  `Quantifiable` or a duration.
  * 
- * @returns {object} The results of the operation.
+ * @returns {object} The results of the operation, with the
+ *                   filenames of photos that belonged to
+ *                   removed steps as context.
  */
 const change = async (
     id,
     title,
     about,
-    uploader,
     prepTime,
     category,
     ingredients,
-    instructions
+    instructions,
+    recipeYield,
+    unitSystem,
+    temperatures,
+    cookTime,
+    restTime
 ) => {
     const notFoundMessage = `The recipe with ID of "${id}"` +
                             ' could not be retrieved.'
@@ -219,25 +970,46 @@ const change = async (
         const builder = {
             title,
             about,
-            uploader,
+            uploader: currRecipe.uploader,
             prepTime,
             category,
             ingredients,
-            instructions
+            instructions,
+            yield: recipeYield,
+            unitSystem: unitSystem ?? currRecipe.unitSystem,
+            temperatures,
+            cookTime,
+            restTime
         }
         const newRecipe = new Recipe(await buildRecipe(builder))
 
+        // photos stay with their step wherever it moved, and go with it if removed
+        const photos = new Map(currRecipe.instructions.map(step => [String(step._id), step.media]))
+        newRecipe.instructions.forEach(step => step.media = photos.get(String(step._id)))
+        const kept = new Set(newRecipe.instructions.map(step => step.media?.filename))
+        const dropped = currRecipe.instructions
+            .map(step => step.media?.filename)
+            .filter(filename => filename && !kept.has(filename))
+        const droppedMedia = Array.from(new Set(dropped))
+
         // map new properties to recipe model
         currRecipe.title = newRecipe.title
         currRecipe.about = newRecipe.about
         currRecipe.category = newRecipe.category
         currRecipe.modifiedOn = Date.now()
         currRecipe.prepTime = newRecipe.prepTime
+        currRecipe.cookTime = newRecipe.cookTime
+        currRecipe.restTime = newRecipe.restTime
+        currRecipe.totalTime = newRecipe.totalTime
         currRecipe.ingredients = newRecipe.ingredients
         currRecipe.instructions = newRecipe.instructions
+        currRecipe.yield = newRecipe.yield
+        currRecipe.unitSystem = newRecipe.unitSystem
+        currRecipe.temperatures = newRecipe.temperatures
         await currRecipe.save()
 
-        return quickResponse(200, okMessage)
+        const context = droppedMedia.length > 0 ? { droppedMedia } : undefined
+        return quickResponse(200, okMessage, context)
     } catch (err) {
         return quickResponse(400, badRequestMessage, err.message)
     }
@@ -314,13 +1086,19 @@ const setMedia = async (id, filenames) => {
 
     // save filenames to recipe model
     if (filenames.length > 0) {
-        // not an update, do not overwrite
-        const uniqueMedia = new Set([
+        // not an update, do not overwrite (identical uploads share a name)
+        const known = new Set(recipe.media.map(m => m.filename))
+        const added = new Map(filenames.filter(m => !known.has(m.unique))
+                                       .map(m => [m.unique, m.mime]))
+        recipe.media = [
             ...recipe.media,
-            ...filenames.map(m => m.unique)
-        ])
-        recipe.media = Array.from(uniqueMedia)
-        recipe.save()
+            ...Array.from(added, ([filename, mime]) => ({ filename, mime }))
+        ]
+        try {
+            await recipe.save()
+        } catch (err) {
+            return quickResponse(500)
+        }
     }
     return quickResponse(200, okMessage)
 }
@@ -334,7 +1112,9 @@ const setMedia = async (id, filenames) => {
  * @param {string[]} filenames - Filenames of the
  *                               cleared media.
  * 
- * @returns {object} The results of the operation.
+ * @returns {object} The results of the operation, with the
+ *                   filenames it no longer links to as
+ *                   context.
  */
 const resetMedia = async (id, filenames) => {
     const notFoundMessage = `The recipe with ID of "${id}"` +
@@ -352,9 +1132,16 @@ const resetMedia = async (id, filenames) => {
     // update filenames in recipe model
     if (filenames.length > 0) {
         // ensure no duplicates exist (similar to `setMedia`)
-        const uniqueMedia = new Set(filenames.map(m => m.unique))
-        recipe.media = Array.from(uniqueMedia)
-        recipe.save()
+        const uniqueMedia = new Map(filenames.map(m => [m.unique, m.mime]))
+        const replacedMedia = recipe.media.map(m => m.filename)
+                                          .filter(filename => !uniqueMedia.has(filename))
+        recipe.media = Array.from(uniqueMedia, ([filename, mime]) => ({ filename, mime }))
+        try {
+            await recipe.save()
+        } catch (err) {
+            return quickResponse(500)
+        }
+        return quickResponse(200, okMessage, { replacedMedia })
     }
     return quickResponse(200, okMessage)
 }
@@ -383,11 +1170,267 @@ const unsetMedia = async id => {
 
     // remove filenames from recipe model
     recipe.media = []
-    recipe.save()
+    try {
+        await recipe.save()
+    } catch (err) {
+        return quickResponse(500)
+    }
 
     return quickResponse(200, okMessage)
 }
 
+/**
+ * Unlinks a single media file from a recipe. If it was the
+ * cover, the recipe is left without one.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id       - ID of the recipe.
+ * @param {string} filename - Filename of the media.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const discardMedia = async (id, filename) => {
+    const notFoundMessage = `The recipe with ID of "${id}"` +
+                            ` has no media named "${filename}".`
+    const okMessage = `The media named "${filename}" was successfully` +
+                      ` unlinked from the recipe with ID of "${id}".`
+    try {
+        if (!(await exists(id))) return quickResponse(404, notFoundMessage)
+        const temp = await fetchById(id)
+        const recipe = temp.data.message
+
+        const remaining = recipe.media.filter(m => m.filename !== filename)
+        if (remaining.length === recipe.media.length) {
+            return quickResponse(404, notFoundMessage)
+        }
+        recipe.media = remaining
+        await recipe.save()
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Rearranges the media of a recipe. Every filename must be
+ * listed exactly once.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}   id    - ID of the recipe.
+ * @param {string[]} order - Filenames of the media in their
+ *                           new order.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const reorderMedia = async (id, order) => {
+    const notFoundMessage = `The recipe with ID of "${id}"` +
+                            ' does not exist.'
+    const badRequestMessage = `The media of the recipe with ID of "${id}"` +
+                              ' could not be reordered.'
+    const okMessage = `The media of the recipe with ID of "${id}"` +
+                      ' was successfully reordered.'
+    try {
+        if (!(await exists(id))) return quickResponse(404, notFoundMessage)
+        const temp = await fetchById(id)
+        const recipe = temp.data.message
+
+        const current = recipe.media.map(m => m.filename)
+        const isPermutation = Array.isArray(order) &&
+                              order.length === current.length &&
+                              new Set(order).size === order.length &&
+                              order.every(f => current.includes(f))
+        if (!isPermutation) {
+            const context = '`order` must list every filename of the media exactly once.'
+            return quickResponse(400, badRequestMessage, context)
+        }
+        recipe.media = order.map(f => recipe.media.find(m => m.filename === f))
+        await recipe.save()
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Modifies the details of a single media file of a recipe.
+ * Details that are not provided are left alone.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}  id       - ID of the recipe.
+ * @param {string}  filename - Filename of the media.
+ * @param {string}  caption  - Caption shown with the image.
+ * @param {string}  alt      - Text that describes the image
+ *                             for screen readers.
+ * @param {boolean} cover    - Whether the image is the cover
+ *                             of the recipe, which takes the
+ *                             place of any other cover.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const changeMedia = async (id, filename, caption, alt, cover) => {
+    const notFoundMessage = `The recipe with ID of "${id}"` +
+                            ` has no media named "${filename}".`
+    const badRequestMessage = `The media named "${filename}" could not be updated.`
+    const okMessage = `The media named "${filename}" was successfully updated.`
+    if (cover !== undefined && typeof cover !== 'boolean') {
+        return quickResponse(400, badRequestMessage, '`cover` must be true or false.')
+    }
+    try {
+        if (!(await exists(id))) return quickResponse(404, notFoundMessage)
+        const temp = await fetchById(id)
+        const recipe = temp.data.message
+
+        const media = recipe.media.find(m => m.filename === filename)
+        if (!media) return quickResponse(404, notFoundMessage)
+
+        // an empty string clears a detail
+        if (caption !== undefined) media.caption = caption || undefined
+        if (alt !== undefined) media.alt = alt || undefined
+        if (cover) recipe.media.forEach(m => m.cover = false)
+        if (cover !== undefined) media.cover = cover
+        await recipe.save()
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(400, badRequestMessage, err.message)
+    }
+}
+
+/**
+ * Names the owner of the photos of the steps of a recipe
+ * for the media service. Steps are kept apart from the
+ * gallery, so replacing one never removes the other.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id - ID of the recipe.
+ * 
+ * @returns {string} The owner of the photos.
+ */
+const stepMediaOwner = id => `${id}:instructions`
+
+/**
+ * Finds an instruction step of a recipe by its number.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} recipe - The recipe.
+ * @param {string} step   - Number of the step (starts at 1).
+ * 
+ * @returns {object|undefined} The step, if it exists.
+ */
+const findStep = (recipe, step) => {
+    const number = Number(step)
+    if (!Number.isInteger(number) || number < 1) return undefined
+    return recipe.instructions[number - 1]
+}
+
+/**
+ * Fetches the photo of an instruction step.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id   - ID of the recipe.
+ * @param {string} step - Number of the step (starts at 1).
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   photo as the message.
+ */
+const fetchStepMedia = async (id, step) => {
+    const notFoundMessage = `Step ${step} of the recipe with ID of "${id}"` +
+                            ' has no photo.'
+    try {
+        if (!(await exists(id))) return quickResponse(404, notFoundMessage)
+        const temp = await fetchById(id)
+        const media = findStep(temp.data.message, step)?.media
+        if (!media) return quickResponse(404, notFoundMessage)
+        return quickResponse(200, media)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+/**
+ * Links a photo to an instruction step, in place of any
+ * photo it had.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id      - ID of the recipe.
+ * @param {string} step    - Number of the step (starts at 1).
+ * @param {object} file    - The cleared file.
+ * @param {string} caption - Caption shown with the photo.
+ * @param {string} alt     - Text that describes the photo for
+ *                           screen readers.
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   filename of the replaced photo as context
+ *                   if no other step uses it.
+ */
+const setStepMedia = async (id, step, file, caption, alt) => {
+    const notFoundMessage = `The recipe with ID of "${id}"` +
+                            ` has no step ${step}.`
+    const badRequestMessage = `The photo of step ${step} could not be updated.`
+    const okMessage = `Step ${step} of the recipe with ID of "${id}"` +
+                      ' was successfully linked to the new photo.'
+    if (!file) return quickResponse(400, badRequestMessage, 'No photo was cleared.')
+    try {
+        if (!(await exists(id))) return quickResponse(404, notFoundMessage)
+        const temp = await fetchById(id)
+        const recipe = temp.data.message
+
+        const current = findStep(recipe, step)
+        if (!current) return quickResponse(404, notFoundMessage)
+        const replaced = current.media?.filename
+        current.media = { filename: file.unique, mime: file.mime, caption, alt }
+        await recipe.save()
+
+        // identical photos are shared, so only release one nothing else uses
+        const inUse = recipe.instructions.some(s => s.media?.filename === replaced)
+        const context = replaced && !inUse ? { replacedMedia: replaced } : undefined
+        return quickResponse(200, okMessage, context)
+    } catch (err) {
+        return quickResponse(400, badRequestMessage, err.message)
+    }
+}
+
+/**
+ * Unlinks the photo from an instruction step.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id   - ID of the recipe.
+ * @param {string} step - Number of the step (starts at 1).
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   filename of the photo as context if no
+ *                   other step uses it.
+ */
+const unsetStepMedia = async (id, step) => {
+    const notFoundMessage = `Step ${step} of the recipe with ID of "${id}"` +
+                            ' has no photo.'
+    const okMessage = `The photo was successfully unlinked from step ${step}` +
+                      ` of the recipe with ID of "${id}".`
+    try {
+        if (!(await exists(id))) return quickResponse(404, notFoundMessage)
+        const temp = await fetchById(id)
+        const recipe = temp.data.message
+
+        const current = findStep(recipe, step)
+        const removed = current?.media?.filename
+        if (!removed) return quickResponse(404, notFoundMessage)
+        current.media = undefined
+        await recipe.save()
+
+        const inUse = recipe.instructions.some(s => s.media?.filename === removed)
+        return quickResponse(200, okMessage, inUse ? undefined : { removedMedia: removed })
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
 /**
  * Checks that the provided user is the uploader of
  * the provided recipe.
@@ -409,14 +1452,45 @@ const checkUploader = async (id, username) => {
     }
 }
 
+/**
+ * Finds who uploaded a recipe.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id - The ID of the recipe.
+ * 
+ * @returns {string|undefined} The username of the uploader,
+ *                             or `undefined` if the recipe
+ *                             does not exist.
+ */
+const uploaderOf = async id => {
+    try {
+        if (!(await exists(id))) return undefined
+        const recipe = await Recipe.findById(id, 'uploader')
+        return recipe.uploader
+    } catch (err) {
+        return undefined
+    }
+}
+
 module.exports = {
     fetch,
+    search,
     fetchById,
+    fetchAdjusted,
     create,
     change,
     discard,
     setMedia,
     unsetMedia,
     resetMedia,
-    checkUploader
+    discardMedia,
+    reorderMedia,
+    changeMedia,
+    stepMediaOwner,
+    fetchStepMedia,
+    setStepMedia,
+    unsetStepMedia,
+    checkUploader,
+    uploaderOf
 }
\ No newline at end of file
@@ -0,0 +1,178 @@
+/******************************************************
+ * Title:       reconcile.js                          *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Finds where the media in storage and the media *
+ *     linked in the database have drifted apart, and *
+ *     optionally brings them back in line.           *
+ ******************************************************/
+
+const { Recipe, User } = require('../models')
+const mediaService = require('./media')
+const { stepMediaOwner } = require('./recipe')
+const quickResponse = require('../util/quick-response')
+
+/**
+ * Finds the media each recipe and user links to. The
+ * photos of the steps of a recipe have their own owner.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @returns {Map} The owners keyed by ID, each with its
+ *                document and the filenames it links to.
+ */
+const linkedMedia = async () => {
+    const linked = new Map()
+    const recipes = await Recipe.find({}, 'media instructions')
+    recipes.forEach(recipe => {
+        linked.set(String(recipe._id), {
+            doc: recipe,
+            filenames: recipe.media.map(m => m.filename)
+        })
+        const photos = recipe.instructions.filter(s => s.media).map(s => s.media.filename)
+        linked.set(stepMediaOwner(recipe._id), {
+            doc: recipe,
+            filenames: Array.from(new Set(photos)),
+            steps: true
+        })
+    })
+    const users = await User.find({}, 'media')
+    users.forEach(user => linked.set(String(user._id), {
+        doc: user,
+        filenames: user.media ? [user.media] : []
+    }))
+    return linked
+}
+
+/**
+ * Removes links to media files from a recipe or user.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object}   doc           - The recipe or user.
+ * @param {string[]} filenames     - Filenames to unlink.
+ * @param {boolean}  [steps=false] - Unlink them from the
+ *                                   steps of the recipe
+ *                                   instead of its gallery.
+ */
+const unlink = async (doc, filenames, steps = false) => {
+    if (steps) {
+        doc.instructions.filter(s => filenames.includes(s.media?.filename))
+                        .forEach(s => s.media = undefined)
+    } else if (doc instanceof Recipe) {
+        doc.media = doc.media.filter(m => !filenames.includes(m.filename))
+    } else {
+        doc.media = ''
+    }
+
+    // older records may not pass validation elsewhere
+    await doc.save({ validateModifiedOnly: true })
+}
+
+/**
+ * Compares the media in storage with the media linked in
+ * the database. Media directories of entities that no
+ * longer exist are orphaned, as are files and shared
+ * content that no entity links to, and links to files that
+ * are not in storage are missing. Shared content is also
+ * miscounted when the entities it records as linked to it
+ * are not the ones that actually are, and stale when its
+ * files were left behind by a deleted record. Cleaning
+ * removes orphans and stale content, unlinks missing files
+ * and corrects the counts. Content linked or unlinked while
+ * it runs is left alone.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {boolean} [clean=false] - Clean up what was found.
+ * 
+ * @returns {object} The results of the operation, with the
+ *                   orphaned directories, orphaned files,
+ *                   missing files, orphaned content,
+ *                   miscounted content and stale content as
+ *                   context.
+ */
+const reconcile = async (clean = false) => {
+    try {
+        const stored = await mediaService.catalog()
+        if (stored.status !== 200) return quickResponse(stored.status)
+        const counted = await mediaService.references()
+        if (counted.status !== 200) return quickResponse(counted.status)
+        const { entities, content, staleContent } = stored.data.message
+        const references = counted.data.message
+        const linked = await linkedMedia()
+
+        // media uploaded before content was shared lives with its entity
+        const orphanedDirectories = Object.keys(entities).filter(id => !linked.has(id))
+        const orphanedFiles = []
+        const missingFiles = []
+        const owners = new Map(content.map(name => [name, []]))
+        for (const [id, { filenames }] of linked) {
+            const names = entities[id] ?? []
+            names.filter(name => !filenames.includes(name))
+                 .forEach(filename => orphanedFiles.push({ id, filename }))
+            filenames.filter(filename => !names.includes(filename) && !owners.has(filename))
+                     .forEach(filename => missingFiles.push({ id, filename }))
+            filenames.forEach(filename => owners.get(filename)?.push(id))
+        }
+
+        const orphanedContent = content.filter(name => owners.get(name).length === 0)
+        const miscountedContent = []
+        for (const name of new Set([...content, ...Object.keys(references)])) {
+            const recorded = references[name] ?? []
+            const actual = owners.get(name) ?? []
+            const matches = recorded.length === actual.length &&
+                            actual.every(id => recorded.includes(id))
+            const count = { filename: name, counted: recorded.length, actual: actual.length }
+            if (!matches) miscountedContent.push(count)
+        }
+
+        if (clean) {
+            for (const id of new Set(missingFiles.map(f => f.id))) {
+                const filenames = missingFiles.filter(f => f.id === id).map(f => f.filename)
+                const { doc, steps } = linked.get(id)
+                await unlink(doc, filenames, steps)
+            }
+            for (const id of orphanedDirectories) {
+                if ((await mediaService.unset(id)).status !== 200) return quickResponse(500)
+            }
+            for (const { id, filename } of orphanedFiles) {
+                const result = await mediaService.remove(id, filename)
+                if (result.status !== 200) return quickResponse(500)
+            }
+            const recounted = new Set([...orphanedContent, ...miscountedContent.map(c => c.filename)])
+            for (const name of recounted) {
+                const actual = owners.get(name) ?? []
+                const result = await mediaService.recount(name, actual, references[name] ?? [])
+
+                // content that changed while counting is left for the next run
+                if (result.status !== 200 && result.status !== 409) return quickResponse(500)
+            }
+            for (const stored of staleContent) {
+                if ((await mediaService.discard(stored)).status !== 200) return quickResponse(500)
+            }
+        }
+
+        const found = orphanedDirectories.length + orphanedFiles.length + missingFiles.length +
+                      orphanedContent.length + miscountedContent.length + staleContent.length
+        const message = found === 0
+            ? 'The media in storage matches the database.'
+            : `Found ${found} inconsistencies between the media in storage` +
+              ` and the database${clean ? ', all of which were cleaned up' : ''}.`
+        const context = {
+            orphanedDirectories,
+            orphanedFiles,
+            missingFiles,
+            orphanedContent,
+            miscountedContent,
+            staleContent,
+            cleaned: clean
+        }
+        return quickResponse(200, message, context)
+    } catch (err) {
+        return quickResponse(500)
+    }
+}
+
+module.exports = { reconcile }
\ No newline at end of file
@@ -10,6 +10,7 @@
 const path = require('path')
 const { User } = require('../models')
 const quickResponse = require('../util/quick-response')
+const { roles } = require('../util/permissions')
 
 // TODO: Upgrade JSDoc comments to enhance parameter
 //       descriptions as in `auth-firewall.js`.
@@ -88,19 +89,21 @@ const fetchById = async id => {
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {object} name     - User name.
- * @param {string} username - User username.
- * @param {string} password - User password (hashed).
- * @param {string} email    - User E-mail.
+ * @param {object} name       - User name.
+ * @param {string} username   - User username.
+ * @param {string} password   - User password (hashed).
+ * @param {string} email      - User E-mail.
+ * @param {string} unitSystem - Preferred system for plain
+ *                              volume units.
  * 
  * @returns {object} The results of the operation.
  */
-const create = async (name, username, password, email) => {
+const create = async (name, username, password, email, unitSystem) => {
     const badRequestMessage = 'The user could not be created.'
     const createdMessage = 'The user with ID of "<>"' +
                            ' was successfully created.'
     try {
-        const builder = { name, username, password, email }
+        const builder = { name, username, password, email, unitSystem }
         const newUser = new User(await buildUser(builder))
         await newUser.save()
         return quickResponse(201, createdMessage.replace('<>', newUser._id))
@@ -114,15 +117,17 @@ const create = async (name, username, password, email) => {
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
- * @param {string} id       - The ID of the user.
- * @param {object} name     - User name.
- * @param {string} username - User username.
- * @param {string} password - User password (hashed).
- * @param {string} email    - User E-mail.
+ * @param {string} id         - The ID of the user.
+ * @param {object} name       - User name.
+ * @param {string} username   - User username.
+ * @param {string} password   - User password (hashed).
+ * @param {string} email      - User E-mail.
+ * @param {string} unitSystem - Preferred system for plain
+ *                              volume units.
  * 
  * @returns {object} The results of the operation.
  */
-const change = async (id, name, username, password, email) => {
+const change = async (id, name, username, password, email, unitSystem) => {
     const notFoundMessage = `The user with ID of "${id}"` +
                             ' could not be retrieved.'
     const badRequestMessage = `The user with ID of "${id}"` +
@@ -138,7 +143,7 @@ const change = async (id, name, username, password, email) => {
         const temp = await fetchById(id)
         const currUser = temp.data.message
 
-        const builder = { name, username, password, email }
+        const builder = { name, username, password, email, unitSystem }
         const newUser = new User(await buildUser(builder))
 
         // map new properties to user model
@@ -146,6 +151,7 @@ const change = async (id, name, username, password, email) => {
         currUser.username = newUser.username
         currUser.email = newUser.email
         currUser.password = newUser.password ?? currUser.password
+        currUser.unitSystem = unitSystem ? newUser.unitSystem : currUser.unitSystem
         await currUser.save()
 
         return quickResponse(200, okMessage)
@@ -199,6 +205,46 @@ const exists = async id => {
     }
 }
 
+/**
+ * Assigns a role to a user. The last admin cannot give up
+ * their role, or nobody would be left to assign roles.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id   - The ID of the user.
+ * @param {string} role - One of the roles in
+ *                        `util/permissions.js`.
+ * 
+ * @returns {object} The results of the operation.
+ */
+const changeRole = async (id, role) => {
+    const notFoundMessage = `The user with ID of "${id}"` +
+                            ' could not be retrieved.'
+    const badRequestMessage = `The role of the user with ID of "${id}"` +
+                              ' could not be changed.'
+    const conflictMessage = `The user with ID of "${id}"` +
+                            ' is the last admin and must stay one.'
+    const okMessage = `The user with ID of "${id}"` +
+                      ` was successfully assigned the role of "${role}".`
+    try {
+        if (!(await exists(id))) {
+            return quickResponse(404, notFoundMessage)
+        }
+        const user = await User.findById(id)
+
+        const demotesAdmin = user.role === roles.ADMIN && role !== roles.ADMIN
+        if (demotesAdmin && await User.countDocuments({ role: roles.ADMIN }) <= 1) {
+            return quickResponse(409, conflictMessage)
+        }
+
+        user.role = role
+        await user.save()
+        return quickResponse(200, okMessage)
+    } catch (err) {
+        return quickResponse(400, badRequestMessage, err.message)
+    }
+}
+
 /**
  * Adds a link to a media file to a recipe.
  * 
@@ -236,7 +282,11 @@ const setMedia = async (id, filename = '') => {
     // save filenames to user model
     if (noContentResponseNotNeeded) {
         user.media = filename
-        user.save()
+        try {
+            await user.save()
+        } catch (err) {
+            return quickResponse(500)
+        }
     }
     return quickResponse(200, okMessage)
 }
@@ -250,7 +300,9 @@ const setMedia = async (id, filename = '') => {
  * @param {string} filename - Filename of the cleared
  *                            media.
  * 
- * @returns {object} The results of the operation.
+ * @returns {object} The results of the operation, with the
+ *                   filename it no longer links to as
+ *                   context.
  */
 const resetMedia = async (id, filename) => {
     const notFoundMessage = `The user with ID of "${id}"` +
@@ -267,8 +319,16 @@ const resetMedia = async (id, filename) => {
 
     // update filenames in user model
     if (filename.length > 0) {
+        const replaced = user.media
         user.media = filename
-        user.save()
+        try {
+            await user.save()
+        } catch (err) {
+            return quickResponse(500)
+        }
+        if (replaced && replaced !== filename) {
+            return quickResponse(200, okMessage, { replacedMedia: replaced })
+        }
     }
     return quickResponse(200, okMessage)
 }
@@ -297,7 +357,11 @@ const unsetMedia = async id => {
 
     // remove filenames from user model
     user.media = ''
-    user.save()
+    try {
+        await user.save()
+    } catch (err) {
+        return quickResponse(500)
+    }
 
     return quickResponse(200, okMessage)
 }
@@ -321,7 +385,7 @@ const signIn = async username => {
         const user = await User.findOne({ username })
         if (!user) return quickResponse(404, notFoundMessage)
 
-        user.save()
+        await user.save()
         return quickResponse(200, okMessage)
     } catch (err) {
         return quickResponse(500)
@@ -347,7 +411,7 @@ const signOut = async username => {
         const user = await User.findOne({ username })
         if (!user) return quickResponse(404, notFoundMessage)
 
-        user.save()
+        await user.save()
         return quickResponse(200, okMessage)
     } catch (err) {
         return quickResponse(500)
@@ -375,16 +439,58 @@ const checkUsername = async (id, username) => {
     }
 }
 
+/**
+ * Finds the username of a user.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} id - The ID of the user.
+ * 
+ * @returns {string|undefined} The username, or `undefined`
+ *                             if the user does not exist.
+ */
+const usernameOf = async id => {
+    try {
+        if (!(await exists(id))) return undefined
+        const user = await User.findById(id, 'username')
+        return user.username
+    } catch (err) {
+        return undefined
+    }
+}
+
+/**
+ * Finds the role of the user with the provided username.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} username - The username.
+ * 
+ * @returns {string|undefined} The role, or `undefined` if
+ *                             the user does not exist.
+ */
+const checkRole = async username => {
+    try {
+        const user = await User.findOne({ username }, 'role')
+        return user?.role
+    } catch (err) {
+        return undefined
+    }
+}
+
 module.exports = {
     fetch,
     fetchById,
     create,
     change,
     discard,
+    changeRole,
     setMedia,
     resetMedia,
     unsetMedia,
     signIn,
     signOut,
-    checkUsername
+    checkUsername,
+    usernameOf,
+    checkRole
 }
\ No newline at end of file
@@ -0,0 +1,90 @@
+/******************************************************
+ * Title:       density.js                            *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Catalog of densities for common ingredients,   *
+ *     used to convert between volume and mass.       *
+ *     Densities are in grams per milliliter.         *
+ ******************************************************/
+
+/**
+ * Densities of common ingredients in grams per milliliter,
+ * keyed by lowercase name. Dry ingredients assume they were
+ * spooned and leveled, not packed (except brown sugar).
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {number}
+ */
+const densities = {
+    // flours and starches
+    'flour': 0.53,
+    'all-purpose flour': 0.53,
+    'bread flour': 0.54,
+    'cake flour': 0.48,
+    'whole wheat flour': 0.51,
+    'cornstarch': 0.47,
+    'cocoa powder': 0.36,
+
+    // sugars and syrups
+    'sugar': 0.85,
+    'granulated sugar': 0.85,
+    'brown sugar': 0.93,
+    'powdered sugar': 0.51,
+    'confectioners sugar': 0.51,
+    'honey': 1.42,
+    'maple syrup': 1.32,
+
+    // fats
+    'butter': 0.96,
+    'oil': 0.92,
+    'vegetable oil': 0.92,
+    'olive oil': 0.91,
+    'peanut butter': 1.08,
+
+    // liquids and dairy
+    'water': 1,
+    'milk': 1.03,
+    'buttermilk': 1.03,
+    'heavy cream': 0.99,
+    'sour cream': 1.02,
+    'yogurt': 1.03,
+
+    // leaveners and seasonings
+    'salt': 1.22,
+    'table salt': 1.22,
+    'kosher salt': 0.54,
+    'baking soda': 0.97,
+    'baking powder': 0.81,
+
+    // grains and mix-ins
+    'rice': 0.78,
+    'rolled oats': 0.38,
+    'oats': 0.38,
+    'chocolate chips': 0.72
+}
+
+/**
+ * Looks up the density of an ingredient by its name. The
+ * most specific catalog entry found in the name wins, so
+ * 'packed light brown sugar' is brown sugar rather than
+ * sugar.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} name - Name of the ingredient.
+ * 
+ * @returns {object|undefined} The catalog entry that matched
+ *                             and its density, if any.
+ */
+const densityOf = name => {
+    if (!name) return undefined
+    const normalized = String(name).toLowerCase().replace(/['’]/g, '')
+    const entry = Object.keys(densities)
+        .filter(key => new RegExp(`\\b${key}(s|es)?\\b`).test(normalized))
+        .sort((a, b) => b.length - a.length)[0]
+    if (entry) return { ingredient: entry, density: densities[entry] }
+}
+
+module.exports = { densities, densityOf }
\ No newline at end of file
@@ -0,0 +1,115 @@
+/******************************************************
+ * Title:       highlight.js                          *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Set of functions to find loosely matching      *
+ *     words in text and mark where they were found.  *
+ *     Used to show search results in context.        *
+ ******************************************************/
+
+/**
+ * Reduces a word to a rough root so that plurals and
+ * other simple inflections match each other.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} word - A lowercase word.
+ * 
+ * @returns {string} The root of the word.
+ */
+const stem = word => {
+    const suffixes = ['ies', 'oes', 'es', 's', 'ing', 'ed']
+    const suffix = suffixes.find(s => {
+        return word.endsWith(s) && word.length - s.length >= 3
+    })
+    if (!suffix) return word
+
+    // roots are matched as prefixes, so 'berries' -> 'berr' still finds 'berry'
+    const root = word.substring(0, word.length - suffix.length)
+    return suffix === 'oes' ? `${root}o` : root
+}
+
+/**
+ * Splits a search string into unique, stemmed terms.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} text - Search string.
+ * 
+ * @returns {string[]} The search terms.
+ */
+const terms = text => {
+    const words = String(text).toLowerCase().match(/[a-z\d']+/g) ?? []
+    return Array.from(new Set(words.filter(w => w.length > 1).map(stem)))
+}
+
+/**
+ * Builds a pattern that matches any word beginning with
+ * one of the terms, which covers partial words and
+ * inflections alike.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string[]} searchTerms - Terms from `terms`.
+ * @param {string}   [flags='i'] - Regular expression flags.
+ * 
+ * @returns {RegExp} The pattern.
+ */
+const pattern = (searchTerms, flags = 'i') => {
+    const escaped = searchTerms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    return new RegExp(`\\b(${escaped.join('|')})\\w*`, flags)
+}
+
+/**
+ * Escapes text so that it can be placed in HTML.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} text - Text to escape.
+ * 
+ * @returns {string} The escaped text.
+ */
+const escape = text => {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+    return text.replace(/[&<>"']/g, c => entities[c])
+}
+
+/**
+ * Produces a short excerpt of the text around the first
+ * match with every match wrapped in `<mark>` tags. The
+ * rest of the text is escaped, so only the tags are markup.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string}   text        - Text to search.
+ * @param {string[]} searchTerms - Terms from `terms`.
+ * @param {number}   [radius=40] - Number of characters to
+ *                                 keep on each side of the
+ *                                 first match.
+ * 
+ * @returns {string|undefined} The snippet, or `undefined` if
+ *                             nothing matched.
+ */
+const snippet = (text, searchTerms, radius = 40) => {
+    if (!text || searchTerms.length === 0) return undefined
+    const first = text.match(pattern(searchTerms))
+    if (!first) return undefined
+
+    const start = Math.max(0, first.index - radius)
+    const end = Math.min(text.length, first.index + first[0].length + radius)
+    const excerpt = text.substring(start, end)
+
+    // the text is escaped around the matches so only the marks are markup
+    let marked = ''
+    let last = 0
+    for (const match of excerpt.matchAll(pattern(searchTerms, 'gi'))) {
+        marked += escape(excerpt.substring(last, match.index))
+        marked += `<mark>${escape(match[0])}</mark>`
+        last = match.index + match[0].length
+    }
+    marked += escape(excerpt.substring(last))
+    return `${start > 0 ? '...' : ''}${marked}${end < text.length ? '...' : ''}`
+}
+
+module.exports = { terms, pattern, snippet }
\ No newline at end of file
@@ -0,0 +1,92 @@
+/******************************************************
+ * Title:       image.js                              *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Resizes uploaded images into the sizes the app *
+ *     displays and strips their metadata (e.g. the   *
+ *     GPS location of a phone photo).                *
+ ******************************************************/
+
+const sharp = require('sharp')
+
+/**
+ * Sizes that every uploaded image is stored in. Images are
+ * never enlarged, and only thumbnails are cropped to fit.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const sizes = {
+    thumb: { width: 200, height: 200, fit: 'cover' },
+    card: { width: 640, height: 480, fit: 'inside' },
+    full: { width: 2048, height: 2048, fit: 'inside' }
+}
+
+/**
+ * Encoders for each image format that can be uploaded,
+ * keyed by MIME type.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const encoders = {
+    'image/jpeg': image => image.jpeg({ quality: 82, mozjpeg: true }),
+    'image/png': image => image.png({ compressionLevel: 9 }),
+    'image/webp': image => image.webp({ quality: 80 }),
+    'image/avif': image => image.avif({ quality: 60 })
+}
+
+// MIME types that can be uploaded, in order of preference when serving
+const mimeTypes = ['image/avif', 'image/webp', 'image/jpeg', 'image/png']
+
+// matches the MIME types that can be uploaded
+const mimePattern = /^image\/(jpeg|png|webp|avif)$/
+
+/**
+ * Finds the encoder for a format.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} mime - MIME type of the format.
+ * 
+ * @returns {function} The encoder.
+ */
+const encoderFor = mime => {
+    const encode = encoders[mime]
+    if (!encode) throw new Error(`Images of type \`${mime}\` cannot be processed.`)
+    return encode
+}
+
+/**
+ * Produces every size of an image. Each is turned upright
+ * according to its EXIF orientation and re-encoded in the
+ * original format without any metadata.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {Buffer} bytes - The original image.
+ * @param {string} mime  - MIME type of the image.
+ * 
+ * @returns {object} The bytes of each size, keyed by size.
+ */
+const processImage = async (bytes, mime) => {
+    const encode = encoderFor(mime)
+    const entries = await Promise.all(Object.entries(sizes).map(async ([size, options]) => {
+        const resized = sharp(bytes).rotate().resize({ ...options, withoutEnlargement: true })
+        return [size, await encode(resized).toBuffer()]
+    }))
+    return Object.fromEntries(entries)
+}
+
+/**
+ * Converts an image to another format.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {Buffer} bytes - The image.
+ * @param {string} mime  - MIME type of the new format.
+ * 
+ * @returns {Buffer} The converted image.
+ */
+const transcode = async (bytes, mime) => await encoderFor(mime)(sharp(bytes)).toBuffer()
+
+module.exports = { sizes, mimeTypes, mimePattern, processImage, transcode }
\ No newline at end of file
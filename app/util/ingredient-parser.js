@@ -0,0 +1,262 @@
+/******************************************************
+ * Title:       ingredient-parser.js                  *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Turns free-text ingredient lines such as       *
+ *     '1 1/2 cups chopped onion' into the structure  *
+ *     expected when creating a recipe.               *
+ ******************************************************/
+
+/**
+ * Unicode vulgar fractions and their ASCII equivalents.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const vulgarFractions = {
+    '½': '1/2',
+    '⅓': '1/3',
+    '⅔': '2/3',
+    '¼': '1/4',
+    '¾': '3/4',
+    '⅕': '1/5',
+    '⅖': '2/5',
+    '⅗': '3/5',
+    '⅘': '4/5',
+    '⅙': '1/6',
+    '⅚': '5/6',
+    '⅛': '1/8',
+    '⅜': '3/8',
+    '⅝': '5/8',
+    '⅞': '7/8'
+}
+
+/**
+ * Spellings of each unit. Aliases are matched without
+ * regard to case except for 'T' (tablespoons) and 't'
+ * (teaspoons), which are told apart only by their case.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string[]}
+ */
+const unitAliases = {
+    tsp: ['tsp', 'tsps', 'teaspoon', 'teaspoons'],
+    tbsp: ['tbsp', 'tbsps', 'tbs', 'tbl', 'tablespoon', 'tablespoons'],
+    c: ['c', 'cup', 'cups'],
+    'fl oz': ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'],
+    pt: ['pt', 'pts', 'pint', 'pints'],
+    qt: ['qt', 'qts', 'quart', 'quarts'],
+    gal: ['gal', 'gals', 'gallon', 'gallons'],
+    mL: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'],
+    L: ['l', 'liter', 'liters', 'litre', 'litres'],
+    oz: ['oz', 'ounce', 'ounces'],
+    lb: ['lb', 'lbs', 'pound', 'pounds'],
+    g: ['g', 'gram', 'grams'],
+    kg: ['kg', 'kilogram', 'kilograms'],
+    mg: ['mg', 'milligram', 'milligrams'],
+    pinch: ['pinch', 'pinches'],
+    dash: ['dash', 'dashes'],
+    smidgen: ['smidgen', 'smidgens', 'smidge', 'smidges'],
+    stick: ['stick', 'sticks'],
+    can: ['can', 'cans', 'tin', 'tins'],
+    clove: ['clove', 'cloves'],
+    bunch: ['bunch', 'bunches'],
+    slice: ['slice', 'slices'],
+    package: ['package', 'packages', 'pkg', 'pkgs', 'packet', 'packets']
+}
+
+/**
+ * Words describing how an ingredient is prepared, moved
+ * from the name into the note.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const preparations = [
+    'beaten',
+    'chopped',
+    'crushed',
+    'cubed',
+    'diced',
+    'grated',
+    'julienned',
+    'mashed',
+    'melted',
+    'minced',
+    'peeled',
+    'shredded',
+    'sifted',
+    'sliced',
+    'softened',
+    'zested'
+]
+
+// adverbs that only make sense next to a preparation
+const manners = ['coarsely', 'finely', 'roughly', 'thinly']
+
+// a single quantity, such as '1 1/2', '1/2', or '1.5'
+const quantityPattern = '\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?'
+
+/**
+ * Replaces unicode fractions with ASCII ones, so '1½'
+ * becomes '1 1/2'.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} line - Ingredient line.
+ * 
+ * @returns {string} The normalized line.
+ */
+const normalizeFractions = line => {
+    const symbols = Object.keys(vulgarFractions).join('')
+    return line.replace(new RegExp(`(\\d*)\\s*([${symbols}])`, 'g'), (m, whole, symbol) => {
+        const fraction = vulgarFractions[symbol]
+        return whole ? `${whole} ${fraction}` : fraction
+    }).replace(/(\d)⁄(\d)/g, '$1/$2')
+}
+
+/**
+ * Finds the unit that a word stands for.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} word - A word, possibly ending in a period.
+ * 
+ * @returns {string|undefined} The unit, if the word is one.
+ */
+const unitOf = word => {
+    if (!word) return undefined
+    const bare = word.replace(/\.$/, '')
+    if (bare === 'T') return 'tbsp'
+    if (bare === 't') return 'tsp'
+    const lower = bare.toLowerCase()
+    return Object.keys(unitAliases).find(unit => unitAliases[unit].includes(lower))
+}
+
+/**
+ * Separates preparation notes from the name of an
+ * ingredient, whether they come after a comma, inside
+ * parentheses, or before the name (e.g. 'finely chopped
+ * onion').
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} text - Everything after the amount.
+ * 
+ * @returns {object} The name and the note (if any).
+ */
+const splitNotes = text => {
+    const notes = []
+
+    // parentheticals are always notes
+    text = text.replace(/\(([^)]*)\)/g, (m, inner) => {
+        if (inner.trim()) notes.push(inner.trim())
+        return ' '
+    })
+
+    // anything after the first comma is a note
+    const [head, ...tail] = text.split(',')
+    const trailing = tail.join(',').trim()
+
+    const words = head.trim().split(/\s+/).filter(w => w)
+    const leading = []
+    while (words.length > 1) {
+        const word = words[0].toLowerCase()
+        const next = words[1]?.toLowerCase()
+        const isManner = manners.includes(word) && preparations.includes(next)
+        if (!isManner && !preparations.includes(word)) break
+        leading.push(words.shift())
+        if (words[0]?.toLowerCase() === 'and') words.shift()
+    }
+    if (leading.length > 0) notes.unshift(leading.join(' '))
+    if (trailing) notes.push(trailing)
+
+    return { name: words.join(' '), note: notes.join(', ') || undefined }
+}
+
+/**
+ * Parses a free-text ingredient line into a name, an
+ * amount, and a note. Ranges such as '2-3' keep the lower
+ * bound as the amount and the upper bound as the maximum
+ * amount. Lines without an amount, or that say 'to taste',
+ * are measured to taste, and amounts without a unit are
+ * counted in pieces. The size of a package between the
+ * count and its unit (e.g. '2 (14 oz) cans') is kept as a
+ * note.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} line - Ingredient line (e.g. '1 1/2 cups
+ *                        chopped onion').
+ * 
+ * @returns {object} The ingredient as it would be submitted
+ *                   when creating a recipe.
+ */
+const parseIngredient = line => {
+    if (typeof line !== 'string' || !line.trim()) {
+        throw new Error('An ingredient line must be a non-empty string.')
+    }
+    let rest = normalizeFractions(line.trim())
+
+    // 'to taste' overrides any amount
+    const toTaste = /\bto taste\b/i.test(rest)
+    rest = rest.replace(/,?\s*\bto taste\b/i, '').trim()
+
+    const amountPattern = new RegExp(
+        `^(${quantityPattern})(?:\\s*(?:-|–|to)\\s*(${quantityPattern}))?\\s*`
+    )
+    const amountMatch = rest.match(amountPattern)
+    let quantity, upTo
+    if (amountMatch) {
+        quantity = amountMatch[1].replace(/\s+/g, ' ')
+        upTo = amountMatch[2]?.replace(/\s+/g, ' ')
+        rest = rest.substring(amountMatch[0].length)
+    }
+
+    // 'a pinch' or 'a dash' means one of them
+    const article = !amountMatch && rest.match(/^an?\s+(?=(\S+))/i)
+    if (article && unitOf(article[1])) {
+        quantity = '1'
+        rest = rest.substring(article[0].length)
+    }
+
+    // a unit may only follow a quantity
+    let unit, packageSize
+    if (quantity) {
+        // the size of a package may come before its unit (e.g. '2 (14 oz) cans')
+        const size = rest.match(/^\(([^)]*)\)\s*/)
+        const text = size ? rest.substring(size[0].length) : rest
+
+        // units can be two words long (e.g. 'fl. oz.')
+        const words = text.match(/^(\S+)(?:\s+(\S+))?/)
+        const pair = words?.[2] && `${words[1].replace(/\.$/, '')} ${words[2]}`
+        let length = 0
+        if (pair && unitOf(pair)) {
+            unit = unitOf(pair)
+            length = words[0].length
+        } else if (words && unitOf(words[1])) {
+            unit = unitOf(words[1])
+            length = words[1].length
+        }
+        if (unit) {
+            rest = text.substring(length).replace(/^\s*of\b/i, '')
+            packageSize = size?.[1].trim()
+        }
+    }
+
+    const { name, note: notes } = splitNotes(rest)
+    if (!name) throw new Error(`No ingredient name was found in "${line}".`)
+    const note = [packageSize, notes].filter(n => n).join(', ') || undefined
+
+    if (toTaste || !quantity) {
+        return { name, amount: { quantity: '0', unit: 'to taste' }, note }
+    }
+    unit = unit ?? 'pieces'
+    const ingredient = { name, amount: { quantity, unit }, note }
+    if (upTo) ingredient.maxAmount = { quantity: upTo, unit }
+    return ingredient
+}
+
+module.exports = parseIngredient
\ No newline at end of file
@@ -0,0 +1,174 @@
+/******************************************************
+ * Title:       multipart.js                          *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Streaming parser for multipart form data that  *
+ *     hands each part to the caller as its bytes     *
+ *     arrive, so uploads never have to be held in    *
+ *     memory all at once.                            *
+ ******************************************************/
+
+/**
+ * Reads the parameters of a `Content-Disposition` header.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} value - Value of the header.
+ * 
+ * @returns {object} The field name and file name (if any).
+ */
+const parseDisposition = value => {
+    const parameters = {}
+    const pattern = /;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+    for (const [, key, quoted, bare] of value.matchAll(pattern)) {
+        parameters[key.toLowerCase()] = quoted?.replace(/\\(.)/g, '$1') ?? bare.trim()
+    }
+    return { name: parameters.name, filename: parameters.filename }
+}
+
+/**
+ * Reads the headers at the start of a part.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} raw - Headers separated by line breaks.
+ * 
+ * @returns {object} The field name, file name (if any), and
+ *                   content type of the part.
+ */
+const parseHeaders = raw => {
+    const headers = {}
+    raw.split('\r\n').forEach(line => {
+        const colon = line.indexOf(':')
+        if (colon === -1) return
+        headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim()
+    })
+    if (!headers['content-disposition']) {
+        throw new Error('A part of the multipart body has no `Content-Disposition`.')
+    }
+    return {
+        ...parseDisposition(headers['content-disposition']),
+        contentType: headers['content-type'] ?? 'text/plain'
+    }
+}
+
+/**
+ * A class that splits a multipart body into parts as
+ * chunks of it are written. The `onPart` (given the field
+ * name, file name, and content type), `onData`, and
+ * `onPartEnd` handlers are awaited before more of the body
+ * is read, so they can hold up the parser while they
+ * inspect what has arrived so far.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const MultipartParser = class {
+    #delimiter
+    #handlers
+    #headerLimit
+    #state
+    #buffer
+
+    constructor(boundary, handlers = {}, headerLimit = 16384) {
+        this.#delimiter = Buffer.from(`\r\n--${boundary}`)
+        this.#handlers = handlers
+        this.#headerLimit = headerLimit
+        this.#state = 'preamble'
+
+        // the first boundary has no line break before it
+        this.#buffer = Buffer.from('\r\n')
+    }
+
+    // true once the closing boundary has been read
+    get finished() { return this.#state === 'end' }
+
+    /**
+     * Parses the next chunk of the body.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Buffer} chunk - Bytes of the body.
+     */
+    async write(chunk) {
+        this.#buffer = Buffer.concat([this.#buffer, chunk])
+        while (await this.#step()) {}
+    }
+
+    /**
+     * Consumes as much of the buffer as the current state
+     * allows.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {boolean} True if the state changed and there
+     *                    may be more to consume.
+     */
+    async #step() {
+        const delimiter = this.#delimiter
+        switch (this.#state) {
+            case 'preamble': {
+                const at = this.#buffer.indexOf(delimiter)
+                if (at === -1) {
+                    this.#buffer = this.#buffer.subarray(-(delimiter.length - 1))
+                    return false
+                }
+                this.#buffer = this.#buffer.subarray(at + delimiter.length)
+                this.#state = 'delimiter'
+                return true
+            }
+            case 'delimiter': {
+                if (this.#buffer.length < 2) return false
+                const next = this.#buffer.subarray(0, 2).toString()
+                if (next === '--') {
+                    this.#buffer = Buffer.alloc(0)
+                    this.#state = 'end'
+                    return false
+                }
+                if (next !== '\r\n') throw new Error('The multipart body is malformed.')
+                this.#buffer = this.#buffer.subarray(2)
+                this.#state = 'headers'
+                return true
+            }
+            case 'headers': {
+                const at = this.#buffer.indexOf('\r\n\r\n')
+                if (at === -1) {
+                    if (this.#buffer.length > this.#headerLimit) {
+                        throw new Error('The headers of a part are too large.')
+                    }
+                    return false
+                }
+                const part = parseHeaders(this.#buffer.subarray(0, at).toString())
+                this.#buffer = this.#buffer.subarray(at + 4)
+                this.#state = 'body'
+                await this.#handlers.onPart?.(part)
+                return true
+            }
+            case 'body': {
+                const at = this.#buffer.indexOf(delimiter)
+                if (at === -1) {
+                    // the end of the buffer may be the start of a boundary
+                    const safe = this.#buffer.length - (delimiter.length - 1)
+                    if (safe > 0) {
+                        const data = this.#buffer.subarray(0, safe)
+                        this.#buffer = this.#buffer.subarray(safe)
+                        await this.#handlers.onData?.(data)
+                    }
+                    return false
+                }
+                const data = this.#buffer.subarray(0, at)
+                this.#buffer = this.#buffer.subarray(at + delimiter.length)
+                this.#state = 'delimiter'
+                if (data.length > 0) await this.#handlers.onData?.(data)
+                await this.#handlers.onPartEnd?.()
+                return true
+            }
+            default:
+                // anything after the closing boundary is ignored
+                this.#buffer = Buffer.alloc(0)
+                return false
+        }
+    }
+}
+
+module.exports = MultipartParser
\ No newline at end of file
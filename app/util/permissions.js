@@ -0,0 +1,66 @@
+/******************************************************
+ * Title:       permissions.js                        *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Roles that users can hold and the permissions  *
+ *     each role grants beyond what a user may do     *
+ *     with their own recipes and account.            *
+ ******************************************************/
+
+/**
+ * Roles that a user can hold, from least to most trusted.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const roles = {
+    MEMBER: 'member',
+    MODERATOR: 'moderator',
+    ADMIN: 'admin'
+}
+
+/**
+ * Actions on recipes and users that belong to someone
+ * else.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const permissions = {
+    EDIT_ANY_RECIPE: 'recipes:edit',
+    DELETE_ANY_RECIPE: 'recipes:delete',
+    EDIT_ANY_USER: 'users:edit',
+    DELETE_ANY_USER: 'users:delete',
+    ASSIGN_ROLES: 'users:roles'
+}
+
+// each role holds every permission of the roles below it
+const moderatorGrants = [permissions.EDIT_ANY_RECIPE, permissions.DELETE_ANY_RECIPE]
+const grants = {
+    [roles.MEMBER]: [],
+    [roles.MODERATOR]: moderatorGrants,
+    [roles.ADMIN]: [
+        ...moderatorGrants,
+        permissions.EDIT_ANY_USER,
+        permissions.DELETE_ANY_USER,
+        permissions.ASSIGN_ROLES
+    ]
+}
+
+/**
+ * Checks whether a role grants a permission.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} role       - Role of the user.
+ * @param {string} permission - One of `permissions`.
+ * 
+ * @returns {boolean} True if the role grants it, false if
+ *                    not (or if the role is unknown).
+ */
+const can = (role, permission) => grants[role]?.includes(permission) ?? false
+
+module.exports = { roles, permissions, can }
\ No newline at end of file
@@ -9,6 +9,8 @@
  *     converting from one unit to another.           *
  ******************************************************/
 
+const Rational = require('./rational')
+
 /**
  * Enumeration for time units.
  * 
@@ -18,6 +20,24 @@
  */
 const time = { DAYS: 'd', HOURS: 'h', MINUTES: 'm' }
 
+/**
+ * Spellings of each time unit accepted in compound
+ * durations such as '1 hr 30 min'.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string[]}
+ */
+const timeAliases = {
+    [time.DAYS]: ['d', 'day', 'days'],
+    [time.HOURS]: ['h', 'hr', 'hrs', 'hour', 'hours'],
+    [time.MINUTES]: ['m', 'min', 'mins', 'minute', 'minutes'],
+    seconds: ['s', 'sec', 'secs', 'second', 'seconds']
+}
+
+// minutes in each part of a duration
+const minutesIn = { [time.DAYS]: 1440, [time.HOURS]: 60, [time.MINUTES]: 1, seconds: 1 / 60 }
+
 /**
  * Enumeration for volume units.
  * 
@@ -26,19 +46,44 @@ const time = { DAYS: 'd', HOURS: 'h', MINUTES: 'm' }
  * @enum {string}
  */
 const volume = {
-    // imperial
+    // customary, interpreted in the system of the quantity
     GALLONS: 'gal',
     QUARTS: 'qt',
     PINTS: 'pt',
     CUPS: 'c',
+    FLUID_OUNCES: 'fl oz',
     TABLESPOONS: 'tbsp',
     TEASPOONS: 'tsp',
 
+    // customary, always in one system
+    US_GALLONS: 'gal-us',
+    US_QUARTS: 'qt-us',
+    US_PINTS: 'pt-us',
+    US_CUPS: 'c-us',
+    US_FLUID_OUNCES: 'fl oz-us',
+    IMPERIAL_GALLONS: 'gal-imp',
+    IMPERIAL_QUARTS: 'qt-imp',
+    IMPERIAL_PINTS: 'pt-imp',
+    IMPERIAL_CUPS: 'c-imp',
+    IMPERIAL_FLUID_OUNCES: 'fl oz-imp',
+    METRIC_CUPS: 'c-metric',
+
     // metric
     LITERS: 'L',
     MILLILITERS: 'mL'
 }
 
+/**
+ * Enumeration for the systems that customary volume units
+ * (cups, pints, etc.) can be measured in. Plain symbols
+ * such as 'c' mean whichever system the quantity is in.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const unitSystem = { US: 'us', IMPERIAL: 'imperial', METRIC: 'metric' }
+
 /**
  * Enumeration for mass units.
  * 
@@ -57,6 +102,19 @@ const mass = {
     MILLIGRAMS: 'mg'
 }
 
+/**
+ * Enumeration for temperature units.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const temperature = {
+    FAHRENHEIT: '°F',
+    CELSIUS: '°C',
+    GAS_MARK: 'gas mark'
+}
+
 /**
  * Enumeration for miscellaneous units.
  * 
@@ -66,6 +124,359 @@ const mass = {
  */
 const misc = { PIECES: 'pieces', TO_TASTE: 'to taste' }
 
+/**
+ * Enumeration for kitchen units that are defined in terms
+ * of other units, or simply counted.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const kitchen = {
+    // fractions of a teaspoon
+    PINCHES: 'pinch',
+    DASHES: 'dash',
+    SMIDGENS: 'smidgen',
+
+    // butter
+    STICKS: 'stick',
+
+    // counted
+    CANS: 'can',
+    CLOVES: 'clove',
+    BUNCHES: 'bunch',
+    SLICES: 'slice',
+    PACKAGES: 'package'
+}
+
+/**
+ * Units registered with `Quantifiable.register`, mapped to
+ * the unit they are defined by (if any) and how many of
+ * that unit make one of them.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const registry = new Map()
+
+/**
+ * Getter suffixes for each unit, used to convert between
+ * units dynamically (e.g. `inCups`).
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const unitNames = {
+    [time.DAYS]: 'Days',
+    [time.HOURS]: 'Hours',
+    [time.MINUTES]: 'Minutes',
+    [volume.GALLONS]: 'Gallons',
+    [volume.QUARTS]: 'Quarts',
+    [volume.PINTS]: 'Pints',
+    [volume.CUPS]: 'Cups',
+    [volume.FLUID_OUNCES]: 'FluidOunces',
+    [volume.TABLESPOONS]: 'Tablespoons',
+    [volume.TEASPOONS]: 'Teaspoons',
+    [volume.LITERS]: 'Liters',
+    [volume.MILLILITERS]: 'Milliliters',
+    [mass.OUNCES]: 'Ounces',
+    [mass.POUNDS]: 'Pounds',
+    [mass.KILOGRAMS]: 'Kilograms',
+    [mass.GRAMS]: 'Grams',
+    [mass.MILLIGRAMS]: 'Milligrams',
+    [temperature.FAHRENHEIT]: 'Fahrenheit',
+    [temperature.CELSIUS]: 'Celsius',
+    [temperature.GAS_MARK]: 'GasMark'
+}
+
+/**
+ * Milliliters in each customary volume unit, by system.
+ * The metric system only redefines the cup and spoons, so
+ * the rest fall back to US customary.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const milliliters = {
+    [unitSystem.US]: {
+        [volume.GALLONS]: 3785.411784,
+        [volume.QUARTS]: 946.352946,
+        [volume.PINTS]: 473.176473,
+        [volume.CUPS]: 236.5882365,
+        [volume.FLUID_OUNCES]: 29.5735295625,
+        [volume.TABLESPOONS]: 14.78676478125,
+        [volume.TEASPOONS]: 4.92892159375
+    },
+    [unitSystem.IMPERIAL]: {
+        [volume.GALLONS]: 4546.09,
+        [volume.QUARTS]: 1136.5225,
+        [volume.PINTS]: 568.26125,
+        [volume.CUPS]: 284.130625,
+        [volume.FLUID_OUNCES]: 28.4130625,
+        [volume.TABLESPOONS]: 17.7581640625,
+        [volume.TEASPOONS]: 5.919388020833
+    },
+    [unitSystem.METRIC]: {
+        [volume.CUPS]: 250,
+        [volume.TABLESPOONS]: 15,
+        [volume.TEASPOONS]: 5
+    }
+}
+
+/**
+ * Customary volume units that always belong to one system,
+ * mapped to their plain symbol and that system.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const fixedVolumes = {
+    [volume.US_GALLONS]: [volume.GALLONS, unitSystem.US],
+    [volume.US_QUARTS]: [volume.QUARTS, unitSystem.US],
+    [volume.US_PINTS]: [volume.PINTS, unitSystem.US],
+    [volume.US_CUPS]: [volume.CUPS, unitSystem.US],
+    [volume.US_FLUID_OUNCES]: [volume.FLUID_OUNCES, unitSystem.US],
+    [volume.IMPERIAL_GALLONS]: [volume.GALLONS, unitSystem.IMPERIAL],
+    [volume.IMPERIAL_QUARTS]: [volume.QUARTS, unitSystem.IMPERIAL],
+    [volume.IMPERIAL_PINTS]: [volume.PINTS, unitSystem.IMPERIAL],
+    [volume.IMPERIAL_CUPS]: [volume.CUPS, unitSystem.IMPERIAL],
+    [volume.IMPERIAL_FLUID_OUNCES]: [volume.FLUID_OUNCES, unitSystem.IMPERIAL],
+    [volume.METRIC_CUPS]: [volume.CUPS, unitSystem.METRIC]
+}
+
+/**
+ * Finds how many milliliters are in one of a volume unit.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} unit         - A volume unit.
+ * @param {string} [system='us'] - System that plain symbols
+ *                                 are measured in.
+ * 
+ * @returns {number|undefined} The milliliters, if the unit is
+ *                             a volume.
+ */
+const millilitersIn = (unit, system = unitSystem.US) => {
+    if (unit === volume.LITERS) return 1000
+    if (unit === volume.MILLILITERS) return 1
+    const [plain, fixed] = fixedVolumes[unit] ?? [unit, system]
+    return milliliters[fixed]?.[plain] ?? milliliters[unitSystem.US][plain]
+}
+
+/**
+ * Units that a quantity can move between when finding the
+ * best fit, ordered from smallest to largest. Each ladder
+ * stays within one system so a cook never sees a cup turn
+ * into milliliters unless they ask for it. A unit is only
+ * used for quantities of at least its minimum, and only
+ * fractions with the listed denominators are considered
+ * readable.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const ladders = [
+    {
+        units: [[time.MINUTES, 0], [time.HOURS, 1], [time.DAYS, 1]],
+        denominators: [1, 2, 4]
+    },
+    {
+        units: [
+            [volume.TEASPOONS, 0],
+            [volume.TABLESPOONS, 1],
+            [volume.CUPS, 1 / 4],
+            [volume.QUARTS, 1],
+            [volume.GALLONS, 1]
+        ],
+        denominators: [1, 2, 3, 4, 8]
+    },
+    {
+        units: [[volume.MILLILITERS, 0], [volume.LITERS, 1]],
+        denominators: [1, 2, 4]
+    },
+    {
+        units: [[mass.OUNCES, 0], [mass.POUNDS, 1]],
+        denominators: [1, 2, 4]
+    },
+    {
+        units: [[mass.MILLIGRAMS, 0], [mass.GRAMS, 1], [mass.KILOGRAMS, 1]],
+        denominators: [1, 2, 4]
+    }
+]
+
+/**
+ * Units that belong to each measurement system, along
+ * with the units that quantities are converted into
+ * before finding the best fit in that system.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const systems = {
+    metric: {
+        units: [
+            volume.LITERS,
+            volume.MILLILITERS,
+            mass.KILOGRAMS,
+            mass.GRAMS,
+            mass.MILLIGRAMS,
+            temperature.CELSIUS
+        ],
+        bases: [volume.MILLILITERS, mass.GRAMS, temperature.CELSIUS]
+    },
+    imperial: {
+        units: [
+            volume.GALLONS,
+            volume.QUARTS,
+            volume.PINTS,
+            volume.CUPS,
+            volume.FLUID_OUNCES,
+            volume.TABLESPOONS,
+            volume.TEASPOONS,
+            ...Object.keys(fixedVolumes),
+            mass.OUNCES,
+            mass.POUNDS,
+            temperature.FAHRENHEIT,
+            temperature.GAS_MARK
+        ],
+        bases: [volume.TEASPOONS, mass.OUNCES, temperature.FAHRENHEIT]
+    }
+}
+
+/**
+ * Gas marks that ovens can be set to, in degrees
+ * Fahrenheit. Below gas mark 1 each quarter of a mark adds
+ * 25°F, and from there each whole mark does.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const gasMarks = [
+    [new Rational(1, 4), 225],
+    [new Rational(1, 2), 250],
+    ...[1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(mark => [new Rational(mark), 250 + 25 * mark])
+]
+
+/**
+ * Converts a gas mark to degrees Fahrenheit.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {number} mark - The gas mark.
+ * 
+ * @returns {number} The temperature in degrees Fahrenheit.
+ */
+const fahrenheitOf = mark => mark < 1 ? 200 + 100 * mark : 250 + 25 * mark
+
+/**
+ * Converts degrees Fahrenheit to a gas mark.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {number} fahrenheit - The temperature in degrees
+ *                              Fahrenheit.
+ * 
+ * @returns {number} The gas mark.
+ */
+const gasMarkOf = fahrenheit => {
+    return fahrenheit < 275 ? (fahrenheit - 200) / 100 : (fahrenheit - 250) / 25
+}
+
+/**
+ * Parses an ISO 8601 duration (e.g. 'PT1H30M') into
+ * minutes. Years and months are rejected since their
+ * length varies.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} text - The duration.
+ * 
+ * @returns {number|undefined} The minutes, if the text is an
+ *                             ISO 8601 duration.
+ */
+const parseIsoDuration = text => {
+    const number = '(\\d+(?:[.,]\\d+)?)'
+    const iso = new RegExp(
+        `^P(?:${number}W)?(?:${number}D)?` +
+        `(?:T(?=\\d)(?:${number}H)?(?:${number}M)?(?:${number}S)?)?$`,
+        'i'
+    )
+    const match = text.match(iso)
+    if (!match || text.length < 3) return undefined
+
+    const [weeks, days, hours, minutes, seconds] = match.slice(1).map(part => {
+        return part ? Number(part.replace(',', '.')) : 0
+    })
+    return (weeks * 7 + days) * 1440 + hours * 60 + minutes + seconds / 60
+}
+
+/**
+ * Parses a compound duration (e.g. '1 hr 30 min' or
+ * '1h30m') into minutes.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} text - The duration.
+ * 
+ * @returns {Rational|undefined} The minutes, if the text is
+ *                               a compound duration.
+ */
+const parseCompoundDuration = text => {
+    const part = /(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)\s*([a-z]+)\.?/gi
+    const leftover = text.replace(part, '').replace(/\b(and)\b|[,\s]/gi, '')
+    const parts = Array.from(text.matchAll(part))
+    if (leftover || parts.length === 0) return undefined
+
+    let total = new Rational(0)
+    for (const [, quantity, word] of parts) {
+        const unit = Object.keys(timeAliases).find(u => {
+            return timeAliases[u].includes(word.toLowerCase())
+        })
+        if (!unit) return undefined
+        total = total.add(Rational.parse(quantity).multiply(Rational.from(minutesIn[unit])))
+    }
+    return total
+}
+
+/**
+ * Finds a fraction close enough to a number to stand in
+ * for it.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {number}   number                      - The number.
+ * @param {number[]} [denominators=[1,2,3,4,8]] - Acceptable
+ *                                                denominators.
+ * @param {number}   [tolerance=0]              - Allowed error
+ *                                                relative to the
+ *                                                number.
+ * 
+ * @returns {Rational|undefined} The fraction, if one was found.
+ */
+const nearFraction = (number, denominators = [1, 2, 3, 4, 8], tolerance = 0) => {
+    const threshold = Math.max(1e-6, tolerance * number)
+    for (const denominator of denominators) {
+        const numerator = Math.round(number * denominator)
+        if (Math.abs(number - numerator / denominator) <= threshold) {
+            return new Rational(numerator, denominator)
+        }
+    }
+}
+
+/**
+ * Finds the unit that a quantity crosses into when
+ * converting between volume and mass.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} quantifiable - A `Quantifiable`.
+ * 
+ * @returns {string|undefined} Grams for volumes, milliliters
+ *                             for masses, nothing otherwise.
+ */
+const bridgeTo = quantifiable => {
+    if (quantifiable instanceof CustomQuantifiable) {
+        return quantifiable.base && bridgeTo(quantifiable.base)
+    }
+    if (quantifiable instanceof VolumeQuantifiable) return mass.GRAMS
+    if (quantifiable instanceof MassQuantifiable) return volume.MILLILITERS
+}
+
 /**
  * Enforces instantiation policy on abstractions.
  * 
@@ -79,6 +490,7 @@ const preventAbstractInstantiation = someClass => {
         TimeQuantifiable,
         VolumeQuantifiable,
         MassQuantifiable,
+        TemperatureQuantifiable,
         Quantifiable
     ]
     if (abstractionBlacklist.includes(someClass.constructor)) {
@@ -96,27 +508,329 @@ const preventAbstractInstantiation = someClass => {
  * @abstract
  */
 const QuantifiableBase = class {
-    #value
+    #rational
     #readable
 
     constructor(value) {
         preventAbstractInstantiation(this)
-        if (value) {
-            this.#readable = value.toString()
-
-            const parts = this.#readable.split('/')
-            this.#value = parts[0] / (parts[1] ?? 1)
-        }
+        if (value) this.value = value
     }
 
-    get value() { return this.#value }
-    get readable() { return this.#readable }
+    get value() { return this.#rational ? this.#rational.valueOf() : NaN }
+    get rational() { return this.#rational }
+    get unicode() { return this.#rational ? this.#rational.toUnicode() : this.#readable }
+
+    // simplified (e.g. '4/2' reads as '2'), unless it could not be parsed
+    get readable() { return this.#rational ? this.#rational.toString() : this.#readable }
 
     set value(value) {
         this.#readable = value.toString()
+        this.#rational = Rational.parse(value) ?? undefined
+    }
+
+    // only volumes depend on a system
+    get system() { return undefined }
+
+    /**
+     * Finds the value of the quantity in another unit.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} unit - The target unit.
+     * 
+     * @returns {number|undefined} The value, if the units are
+     *                             compatible.
+     */
+    valueIn(unit) {
+        if (unit === this.units) return this.value
+        const custom = registry.get(unit)
+        if (custom) {
+            const value = custom.base && this.valueIn(custom.base)
+            return value === undefined ? undefined : value / custom.factor.valueOf()
+        }
+        const name = unitNames[unit]
+        return name ? this[`in${name}`] : undefined
+    }
+
+    /**
+     * Multiplies the quantity by a factor, keeping the
+     * same units.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {number} factor - The factor to scale by.
+     * 
+     * @returns {object} A new `Quantifiable`.
+     */
+    scale(factor) {
+        if (!this.#rational) return this
+        return Quantifiable.build(this.#rational.multiply(factor), this.units, this.system)
+    }
 
-        const parts = this.#readable.split('/')
-        this.#value = parts[0] / (parts[1] ?? 1)
+    /**
+     * Lists the units this quantity can be converted to,
+     * including its own.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {string[]} The compatible units.
+     */
+    get compatibleUnits() {
+        const units = [
+            ...Object.values(time),
+            ...Object.values(volume),
+            ...Object.values(mass),
+            ...Object.values(temperature),
+            ...registry.keys()
+        ]
+        return units.filter(unit => this.valueIn(unit) !== undefined)
+    }
+
+    /**
+     * Lists the units this quantity can be converted to when
+     * the density of the ingredient is known, which bridges
+     * volume and mass.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {number} [density] - Density in grams per
+     *                             milliliter.
+     * 
+     * @returns {string[]} The convertible units.
+     */
+    convertibleUnits(density) {
+        if (!density) return this.compatibleUnits
+        const bridge = bridgeTo(this)
+        if (!bridge) return this.compatibleUnits
+        const bridged = Quantifiable.build('1', bridge, this.system).compatibleUnits
+        return [...this.compatibleUnits, ...bridged]
+    }
+
+    /**
+     * Converts the quantity to another unit. Converting
+     * between volume and mass requires a density.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} unit      - The target unit.
+     * @param {number} [density] - Density in grams per
+     *                             milliliter.
+     * 
+     * @returns {object} A new `Quantifiable`.
+     */
+    to(unit, density) {
+        if (unit === this.units) return this
+        if (this.compatibleUnits.includes(unit)) {
+            const value = this.valueIn(unit)
+            return Quantifiable.build(Rational.from(value), unit, this.system)
+        }
+
+        const bridge = bridgeTo(this)
+        const bridgeable = bridge &&
+                           Quantifiable.build('1', bridge).compatibleUnits.includes(unit)
+        if (!bridgeable) {
+            const message = `Cannot convert \`${this.units}\` to \`${unit}\`.`
+            throw new Error(message)
+        }
+        if (!density) {
+            const message = `Cannot convert \`${this.units}\` to \`${unit}\`` +
+                            ' without the density of the ingredient.'
+            throw new Error(message)
+        }
+
+        // volumes normalize to liters and masses to grams
+        const bridged = bridge === mass.GRAMS
+            ? this.normalized * 1000 * density
+            : this.normalized / density
+        return Quantifiable.build(Rational.from(bridged), bridge, this.system).to(unit)
+    }
+
+    /**
+     * Expresses the quantity in the unit that reads best,
+     * that is the largest unit on its ladder that keeps
+     * the quantity above the unit's minimum with a simple
+     * fraction (e.g. 48 tsp becomes 1 c).
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {number} [tolerance=0] - Allowed rounding error
+     *                                 relative to the quantity,
+     *                                 useful after converting
+     *                                 between systems.
+     * 
+     * @returns {object} A new `Quantifiable`, or this one if
+     *                   its units cannot be converted.
+     */
+    bestFit(tolerance = 0) {
+        const ladder = ladders.find(l => l.units.some(([u]) => u === this.units))
+        if (!ladder) return this
+
+        const best = ladder.units.map(([unit, minimum]) => {
+            const value = this.valueIn(unit)
+            const fraction = nearFraction(value, ladder.denominators, tolerance)
+            return { unit, value, minimum, fraction }
+        }).filter(c => c.value >= c.minimum && c.fraction).pop()
+
+        if (!best || best.unit === this.units && tolerance === 0) return this
+        return Quantifiable.build(best.fraction, best.unit, this.system)
+    }
+
+    /**
+     * Expresses the quantity in a measurement system, then
+     * in the unit that reads best within it.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} system - Either 'metric' or 'imperial'.
+     * 
+     * @returns {object} A new `Quantifiable`, or this one if it
+     *                   has no equivalent in the system.
+     */
+    inSystem(system) {
+        if (!systems[system]) throw new Error(`Unknown system \`${system}\`.`)
+        const { units, bases } = systems[system]
+        if (units.includes(this.units)) return this.bestFit()
+
+        // a pinch or a stick reads the same in every system
+        if (registry.has(this.units)) return this
+
+        const base = bases.find(b => this.compatibleUnits.includes(b))
+        if (!base) return this.bestFit()
+
+        // conversions between systems are never exact, so round a little
+        return this.to(base).bestFit(0.03)
+    }
+
+    /**
+     * Expresses another quantity in the units of this one
+     * so the two can be combined.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object} other - Another `Quantifiable`.
+     * 
+     * @returns {Rational} The other quantity in these units.
+     */
+    #align(other) {
+        if (!(other instanceof QuantifiableBase)) {
+            throw new Error('Can only combine with another `Quantifiable`.')
+        }
+        if (!this.#rational || !other.rational) {
+            throw new Error('Cannot combine quantities that could not be parsed.')
+        }
+        if (other.units === this.units && other.system === this.system) {
+            return other.rational
+        }
+        if (!this.compatibleUnits.includes(other.units)) {
+            const message = `Cannot combine \`${this.units}\` with \`${other.units}\`.`
+            throw new Error(message)
+        }
+
+        // plain symbols may mean different things in each system
+        const unit = Quantifiable.build('1', this.units, this.system).normalized
+        return Rational.from(other.normalized / unit)
+    }
+
+    /**
+     * Expresses a result in the requested unit, or in the
+     * unit that reads best if none was requested.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational} rational - The result in these units.
+     * @param {string}   [unit]   - The requested unit.
+     * 
+     * @returns {object} A new `Quantifiable`.
+     */
+    #result(rational, unit) {
+        const result = Quantifiable.build(rational, this.units, this.system)
+        return unit ? result.to(unit) : result.bestFit()
+    }
+
+    /**
+     * Adds another quantity of the same kind.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object} other  - Another `Quantifiable`.
+     * @param {string} [unit] - Unit of the result, best fit
+     *                          if omitted.
+     * 
+     * @returns {object} A new `Quantifiable` with the sum.
+     */
+    add(other, unit) {
+        return this.#result(this.#rational.add(this.#align(other)), unit)
+    }
+
+    /**
+     * Subtracts another quantity of the same kind.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object} other  - Another `Quantifiable`.
+     * @param {string} [unit] - Unit of the result, best fit
+     *                          if omitted.
+     * 
+     * @returns {object} A new `Quantifiable` with the difference.
+     */
+    subtract(other, unit) {
+        const difference = this.#rational.subtract(this.#align(other))
+        if (difference.compare(0) < 0) {
+            const message = `Cannot subtract ${other} from ${this}, it is larger.`
+            throw new Error(message)
+        }
+        return this.#result(difference, unit)
+    }
+
+    /**
+     * Multiplies the quantity by a factor. Unlike `scale`,
+     * the result is expressed in the unit that reads best.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} factor - The factor.
+     * @param {string}                 [unit] - Unit of the
+     *                                          result, best fit
+     *                                          if omitted.
+     * 
+     * @returns {object} A new `Quantifiable` with the product.
+     */
+    multiply(factor, unit) {
+        const product = Rational.from(factor)
+        if (product.compare(0) < 0) throw new Error('Cannot multiply by a negative factor.')
+        return this.#result(this.#rational.multiply(product), unit)
+    }
+
+    /**
+     * Compares with another quantity of the same kind.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object} other - Another `Quantifiable`.
+     * 
+     * @returns {number} `-1`, `0`, or `1` if this quantity is
+     *                   less than, equal to, or greater than
+     *                   the other.
+     */
+    compare(other) { return this.#rational.compare(this.#align(other)) }
+
+    /**
+     * Checks if another quantity of the same kind is equal
+     * to this one, regardless of units (e.g. 3 tsp and
+     * 1 tbsp).
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object} other - Another `Quantifiable`.
+     * 
+     * @returns {boolean} True if equal, false if not.
+     */
+    equals(other) {
+        try {
+            return this.compare(other) === 0
+        } catch (err) {
+            return false
+        }
     }
 }
 
@@ -138,15 +852,53 @@ const TimeQuantifiable = class extends QuantifiableBase {
             throw new Error(message)
         }
         times.forEach(t => {
-            if (!this.relatedQuantifiables().includes(t.units)) {
+            if (!(t instanceof TimeQuantifiable)) {
                 const message = 'Must be an array of type `TimeQuantifiable`.'
                 throw new Error(message)
             }
         })
-        return times.map(t => t.normalized).reduce((a, c) => a + c)
+        return times.map(t => t.normalized).reduce((a, c) => a + c, 0)
     }
 
     relatedQuantifiables() { return Object.values(time) }
+
+    /**
+     * Splits the duration into whole days, hours, minutes,
+     * and seconds, leaving out the parts that are zero.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {Array[]} Each part as `[amount, designator]`,
+     *                    using the ISO 8601 designators.
+     */
+    get parts() {
+        let seconds = Math.round(this.normalized * 60)
+        const parts = [[86400, 'D'], [3600, 'H'], [60, 'M'], [1, 'S']].map(([size, unit]) => {
+            const amount = Math.floor(seconds / size)
+            seconds -= amount * size
+            return [amount, unit]
+        })
+        return parts.filter(([amount]) => amount > 0)
+    }
+
+    // ISO 8601 (e.g. 'PT1H30M'), as used by schema.org
+    get iso() {
+        const parts = this.parts
+        if (parts.length === 0) return 'PT0M'
+        const date = parts.filter(([, u]) => u === 'D').map(([a, u]) => `${a}${u}`)
+        const clock = parts.filter(([, u]) => u !== 'D').map(([a, u]) => `${a}${u}`)
+        return `P${date.join('')}${clock.length > 0 ? `T${clock.join('')}` : ''}`
+    }
+
+    // for people (e.g. '1 hr 30 min')
+    get humanized() {
+        const parts = this.parts
+        if (parts.length === 0) return '0 min'
+        const names = { D: ['day', 'days'], H: ['hr', 'hr'], M: ['min', 'min'], S: ['sec', 'sec'] }
+        return parts.map(([amount, unit]) => {
+            return `${amount} ${names[unit][amount === 1 ? 0 : 1]}`
+        }).join(' ')
+    }
 }
 
 /**
@@ -220,7 +972,10 @@ const Minute = class extends TimeQuantifiable {
 
 /**
  * A class to represent a quantities that are represented in the
- * context of volume.
+ * context of volume. Every volume converts through milliliters,
+ * and customary units (cups, pints, etc.) are measured in the
+ * system of the quantity unless their symbol fixes one (e.g.
+ * 'c-imp').
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
@@ -228,7 +983,17 @@ const Minute = class extends TimeQuantifiable {
  * @augments Quantifiable
  */
 const VolumeQuantifiable = class extends QuantifiableBase {
-    constructor(value) { super(value) }
+    #units
+    #system
+
+    constructor(value, units, system = unitSystem.US) {
+        super(value)
+        if (!Object.values(unitSystem).includes(system)) {
+            throw new Error(`Unknown unit system \`${system}\`.`)
+        }
+        this.#units = units
+        this.#system = fixedVolumes[units]?.[1] ?? system
+    }
 
     static totalVolume(volumes) {
         if (!volumes || !(volumes instanceof Array)) {
@@ -236,7 +1001,7 @@ const VolumeQuantifiable = class extends QuantifiableBase {
             throw new Error(message)
         }
         volumes.forEach(v => {
-            if (!this.relatedQuantifiables().includes(v.units)) {
+            if (!(v instanceof VolumeQuantifiable)) {
                 const message = 'Must be an array of type `VolumeQuantifiable`.'
                 throw new Error(message)
             }
@@ -245,62 +1010,51 @@ const VolumeQuantifiable = class extends QuantifiableBase {
     }
 
     relatedQuantifiables() { return Object.values(volume) }
+
+    get units() { return this.#units }
+    get system() { return this.#system }
+    get milliliters() { return this.value * millilitersIn(this.#units, this.#system) }
+
+    valueIn(unit) {
+        if (unit === this.units) return this.value
+        const target = millilitersIn(unit, this.#system)
+        return target === undefined ? super.valueIn(unit) : this.milliliters / target
+    }
+
+    get inGallons() { return this.valueIn(volume.GALLONS) }
+    get inQuarts() { return this.valueIn(volume.QUARTS) }
+    get inPints() { return this.valueIn(volume.PINTS) }
+    get inCups() { return this.valueIn(volume.CUPS) }
+    get inFluidOunces() { return this.valueIn(volume.FLUID_OUNCES) }
+    get inTablespoons() { return this.valueIn(volume.TABLESPOONS) }
+    get inTeaspoons() { return this.valueIn(volume.TEASPOONS) }
+    get inLiters() { return this.valueIn(volume.LITERS) }
+    get inMilliliters() { return this.valueIn(volume.MILLILITERS) }
+    get normalized() { return this.inLiters }
+
+    toString() { return `${this.readable}${this.#units}` }
 }
 
 /**
- * A class to represent a quantity in imperial cups.
+ * A class to represent a quantity in cups.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @augments VolumeQuantifiable
  */
 const Cup = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.CUPS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 16 }
-    get inQuarts() { return this.value / 4 }
-    get inPints() { return this.value / 2 }
-    get inTablespoons() { return this.value * 16 }
-    get inTeaspoons() { return this.value * 48 }
-    get inLiters() { return this.value / 3.52 }
-    get inMilliliters() { return this.value * 284.13 }
-    get normalized() { return this.inLiters }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.CUPS, system) { super(value, units, system) }
 }
 
 /**
- * A class to represent a quantity in imperial gallons.
+ * A class to represent a quantity in gallons.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @augments VolumeQuantifiable
  */
 const Gallon = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.GALLONS
-    }
-
-    get units() { return this.#units }
-    get inQuarts() { return this.value * 4 }
-    get inPints() { return this.value * 8 }
-    get inCups() { return this.value * 16 }
-    get inTablespoons() { return this.value * 256 }
-    get inTeaspoons() { return this.value * 768 }
-    get inLiters() { return this.value * 4.55 }
-    get inMilliliters() { return this.value * 4546.09 }
-    get normalized() { return this.inLiters }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.GALLONS, system) { super(value, units, system) }
 }
 
 /**
@@ -311,24 +1065,7 @@ const Gallon = class extends VolumeQuantifiable {
  * @augments VolumeQuantifiable
  */
 const Liter = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.LITERS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 4.55 }
-    get inQuarts() { return this.value * 1.14 }
-    get inPints() { return this.value * 1.76 }
-    get inCups() { return this.value * 3.52 }
-    get inTablespoons() { return this.value * 56.31 }
-    get inTeaspoons() { return this.value * 169.94 }
-    get inMilliliters() { return this.value * 1000 }
-    get normalized() { return this.value }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.LITERS, system) { super(value, units, system) }
 }
 
 /**
@@ -339,136 +1076,62 @@ const Liter = class extends VolumeQuantifiable {
  * @augments VolumeQuantifiable
  */
 const Milliliter = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.MILLILITERS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 4546.09 }
-    get inQuarts() { return this.value / 1136.52 }
-    get inPints() { return this.value / 568.26 }
-    get inCups() { return this.value / 284.13 }
-    get inTablespoons() { return this.value / 17.76 }
-    get inTeaspoons() { return this.value / 5.92 }
-    get inLiters() { return this.value / 1000 }
-    get normalized() { return this.inLiters }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.MILLILITERS, system) { super(value, units, system) }
 }
 
 /**
- * A class to represent a quantity in imperial pints.
+ * A class to represent a quantity in pints.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @augments VolumeQuantifiable
  */
 const Pint = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.PINTS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 8 }
-    get inQuarts() { return this.value / 2 }
-    get inCups() { return this.value * 2 }
-    get inTablespoons() { return this.value * 32 }
-    get inTeaspoons() { return this.value * 96 }
-    get inLiters() { return this.value / 1.76 }
-    get inMilliliters() { return this.value * 568.26 }
-    get normalized() { return this.inLiters }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.PINTS, system) { super(value, units, system) }
 }
 
 /**
- * A class to represent a quantity in imperial quarts.
+ * A class to represent a quantity in quarts.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @augments VolumeQuantifiable
  */
 const Quart = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.QUARTS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 4 }
-    get inPints() { return this.value * 2 }
-    get inCups() { return this.value * 4 }
-    get inTablespoons() { return this.value * 64 }
-    get inTeaspoons() { return this.value * 192 }
-    get inLiters() { return this.value / 1.14 }
-    get inMilliliters() { return this.value * 1136.52 }
-    get normalized() { return this.inLiters }
+    constructor(value, units = volume.QUARTS, system) { super(value, units, system) }
+}
 
-    toString() { return `${this.readable}${this.#units}` }
+/**
+ * A class to represent a quantity in fluid ounces.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @augments VolumeQuantifiable
+ */
+const FluidOunce = class extends VolumeQuantifiable {
+    constructor(value, units = volume.FLUID_OUNCES, system) { super(value, units, system) }
 }
 
 /**
- * A class to represent a quantity in imperial tablespoons.
+ * A class to represent a quantity in tablespoons.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @augments VolumeQuantifiable
  */
 const Tablespoon = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.TABLESPOONS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 256 }
-    get inQuarts() { return this.value / 64 }
-    get inPints() { return this.value / 32 }
-    get inCups() { return this.value / 16 }
-    get inTeaspoons() { return this.value * 3 }
-    get inLiters() { return this.value / 56.31 }
-    get inMilliliters() { return this.value * 17.76 }
-    get normalized() { return this.inLiters }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.TABLESPOONS, system) { super(value, units, system) }
 }
 
 /**
- * A class to represent a quantity in imperial teaspoons.
+ * A class to represent a quantity in teaspoons.
  * 
  * @author Mike Nystoriak <nystoriakm@gmail.com>
  * 
  * @augments VolumeQuantifiable
  */
 const Teaspoon = class extends VolumeQuantifiable {
-    #units
-
-    constructor(value) {
-        super(value)
-        this.#units = volume.TEASPOONS
-    }
-
-    get units() { return this.#units }
-    get inGallons() { return this.value / 768 }
-    get inQuarts() { return this.value / 192 }
-    get inPints() { return this.value / 96 }
-    get inCups() { return this.value / 48 }
-    get inTablespoons() { return this.value / 3 }
-    get inLiters() { return this.value / 169.94 }
-    get inMilliliters() { return this.value * 5.92 }
-    get normalized() { return this.inLiters }
-
-    toString() { return `${this.readable}${this.#units}` }
+    constructor(value, units = volume.TEASPOONS, system) { super(value, units, system) }
 }
 
 /**
@@ -625,6 +1288,143 @@ const Pound = class extends MassQuantifiable {
     toString() { return `${this.readable}${this.#units}` }
 }
 
+/**
+ * A class to represent a quantities that are represented in the
+ * context of temperature. Every temperature converts through
+ * degrees Celsius, and since the scales do not share a zero
+ * they can be compared and converted but not combined.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @abstract
+ * @augments Quantifiable
+ */
+const TemperatureQuantifiable = class extends QuantifiableBase {
+    constructor(value) { super(value) }
+
+    relatedQuantifiables() { return Object.values(temperature) }
+
+    get inFahrenheit() { return this.normalized * 9 / 5 + 32 }
+    get inCelsius() { return this.normalized }
+    get inGasMark() { return gasMarkOf(this.inFahrenheit) }
+
+    toString() { return `${this.readable}${this.units}` }
+
+    // an oven does not get hotter when the recipe is doubled
+    scale(factor) { return this }
+
+    /**
+     * Rounds the temperature to a setting an oven actually
+     * has, which is only done when rounding is allowed
+     * (e.g. after converting between systems).
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {number} [tolerance=0] - Anything above zero
+     *                                 allows rounding.
+     * 
+     * @returns {object} A new `Quantifiable`, or this one if
+     *                   rounding is not allowed.
+     */
+    bestFit(tolerance = 0) {
+        if (tolerance === 0 || !this.rational) return this
+        if (this.units === temperature.GAS_MARK) {
+            const [nearest] = gasMarks.reduce((a, c) => {
+                const distance = m => Math.abs(m[1] - this.inFahrenheit)
+                return distance(c) < distance(a) ? c : a
+            })
+            return Quantifiable.build(nearest, this.units)
+        }
+
+        // dials are marked every 5 degrees
+        return Quantifiable.build(Rational.from(Math.round(this.value / 5) * 5), this.units)
+    }
+
+    /**
+     * Compares with another temperature.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object} other - Another `TemperatureQuantifiable`.
+     * 
+     * @returns {number} `-1`, `0`, or `1` if this temperature is
+     *                   lower than, equal to, or higher than
+     *                   the other.
+     */
+    compare(other) {
+        if (!(other instanceof TemperatureQuantifiable)) {
+            const message = `Cannot compare \`${this.units}\` with \`${other?.units}\`.`
+            throw new Error(message)
+        }
+        const difference = this.normalized - other.normalized
+        return Math.abs(difference) < 1e-9 ? 0 : Math.sign(difference)
+    }
+
+    add() { throw new Error('Temperatures cannot be added together.') }
+    subtract() { throw new Error('Temperatures cannot be subtracted.') }
+    multiply() { throw new Error('Temperatures cannot be multiplied.') }
+}
+
+/**
+ * A class to represent a quantity in degrees Fahrenheit.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @augments TemperatureQuantifiable
+ */
+const Fahrenheit = class extends TemperatureQuantifiable {
+    #units
+
+    constructor(value) {
+        super(value)
+        this.#units = temperature.FAHRENHEIT
+    }
+
+    get units() { return this.#units }
+    get normalized() { return (this.value - 32) * 5 / 9 }
+}
+
+/**
+ * A class to represent a quantity in degrees Celsius.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @augments TemperatureQuantifiable
+ */
+const Celsius = class extends TemperatureQuantifiable {
+    #units
+
+    constructor(value) {
+        super(value)
+        this.#units = temperature.CELSIUS
+    }
+
+    get units() { return this.#units }
+    get normalized() { return this.value }
+}
+
+/**
+ * A class to represent a quantity in gas marks, the oven
+ * settings used in the UK.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @augments TemperatureQuantifiable
+ */
+const GasMark = class extends TemperatureQuantifiable {
+    #units
+
+    constructor(value) {
+        super(value)
+        this.#units = temperature.GAS_MARK
+    }
+
+    get units() { return this.#units }
+    get normalized() { return (fahrenheitOf(this.value) - 32) * 5 / 9 }
+
+    toString() { return `${this.#units} ${this.readable}` }
+}
+
 /**
  * A class to represent a quantity in simple pieces
  * or chunks.
@@ -664,9 +1464,51 @@ const ToTaste = class extends QuantifiableBase {
 
     get units() { return this.#units }
 
+    // "to taste" does not grow with the recipe
+    scale(factor) { return new ToTaste() }
+
     toString() { return ` ${this.#units}` }
 }
 
+/**
+ * A class to represent a quantity in a unit added to the
+ * registry. Units defined by another unit convert through
+ * it, while the rest are simply counted.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @augments Quantifiable
+ */
+const CustomQuantifiable = class extends QuantifiableBase {
+    #units
+    #system
+
+    constructor(value, units, system) {
+        super(value)
+        this.#units = units
+        this.#system = system
+    }
+
+    get units() { return this.#units }
+    get system() { return this.#system }
+
+    // the same quantity in the unit this one is defined by
+    get base() {
+        const { base, factor } = registry.get(this.#units)
+        if (!base || !this.rational) return undefined
+        return Quantifiable.build(this.rational.multiply(factor), base, this.#system)
+    }
+
+    get normalized() { return this.base ? this.base.normalized : this.value }
+
+    valueIn(unit) {
+        if (unit === this.units) return this.value
+        return this.base ? this.base.valueIn(unit) : super.valueIn(unit)
+    }
+
+    toString() { return `${this.readable} ${this.#units}` }
+}
+
 /**
  * Factory that produces a `Quantifiable` from a string
  * and quantity.
@@ -678,28 +1520,166 @@ const ToTaste = class extends QuantifiableBase {
 const Quantifiable = class {
     constructor() { preventAbstractInstantiation(this) }
 
-    static build(q, u) {
+    static build(q, u, system) {
         switch (u) {
             case time.DAYS: return new Day(q)
             case time.HOURS: return new Hour(q)
             case time.MINUTES: return new Minute(q)
-            case volume.GALLONS: return new Gallon(q)
-            case volume.QUARTS: return new Quart(q)
-            case volume.PINTS: return new Pint(q)
-            case volume.CUPS: return new Cup(q)
-            case volume.TABLESPOONS: return new Tablespoon(q)
-            case volume.TEASPOONS: return new Teaspoon(q)
-            case volume.LITERS: return new Liter(q)
-            case volume.MILLILITERS: return new Milliliter(q)
+            case volume.GALLONS:
+            case volume.US_GALLONS:
+            case volume.IMPERIAL_GALLONS: return new Gallon(q, u, system)
+            case volume.QUARTS:
+            case volume.US_QUARTS:
+            case volume.IMPERIAL_QUARTS: return new Quart(q, u, system)
+            case volume.PINTS:
+            case volume.US_PINTS:
+            case volume.IMPERIAL_PINTS: return new Pint(q, u, system)
+            case volume.CUPS:
+            case volume.US_CUPS:
+            case volume.IMPERIAL_CUPS:
+            case volume.METRIC_CUPS: return new Cup(q, u, system)
+            case volume.FLUID_OUNCES:
+            case volume.US_FLUID_OUNCES:
+            case volume.IMPERIAL_FLUID_OUNCES: return new FluidOunce(q, u, system)
+            case volume.TABLESPOONS: return new Tablespoon(q, u, system)
+            case volume.TEASPOONS: return new Teaspoon(q, u, system)
+            case volume.LITERS: return new Liter(q, u, system)
+            case volume.MILLILITERS: return new Milliliter(q, u, system)
             case mass.OUNCES: return new Ounce(q)
             case mass.POUNDS: return new Pound(q)
             case mass.MILLIGRAMS: return new Milligram(q)
             case mass.GRAMS: return new Gram(q)
             case mass.KILOGRAMS: return new Kilogram(q)
+            case temperature.FAHRENHEIT: return new Fahrenheit(q)
+            case temperature.CELSIUS: return new Celsius(q)
+            case temperature.GAS_MARK: return new GasMark(q)
             case misc.PIECES: return new Piece(q)
-            default: return new ToTaste()
+            case misc.TO_TASTE: return new ToTaste()
+            default:
+                if (registry.has(u)) return new CustomQuantifiable(q, u, system)
+                throw new Error(`Unknown unit \`${u}\`.`)
+        }
+    }
+
+    /**
+     * Adds up lengths of time, such as the preparation and
+     * cooking times of a recipe.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {object[]} times - Each a `TimeQuantifiable`.
+     * 
+     * @returns {object} The total as a `Quantifiable`, in the
+     *                   unit that reads best.
+     */
+    static totalTime(times) {
+        const minutes = TimeQuantifiable.totalTime(times)
+        return Quantifiable.build(Rational.from(minutes), time.MINUTES).bestFit()
+    }
+
+    /**
+     * Parses a duration written either in ISO 8601 (e.g.
+     * 'PT1H30M') or as a compound (e.g. '1 hr 30 min').
+     * A single part keeps its unit, otherwise the total is
+     * expressed in the unit that reads best.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} text - The duration.
+     * 
+     * @returns {object} A `TimeQuantifiable`.
+     */
+    static parseDuration(text) {
+        const trimmed = String(text).trim()
+        const single = trimmed.match(/^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?)\s*(d|h|m)$/)
+        if (single) return Quantifiable.build(single[1], single[2])
+
+        const iso = parseIsoDuration(trimmed)
+        const minutes = iso === undefined ? parseCompoundDuration(trimmed) : Rational.from(iso)
+        if (minutes === undefined) throw new Error(`"${text}" is not a duration.`)
+        return Quantifiable.build(minutes, time.MINUTES).bestFit()
+    }
+
+    /**
+     * Lists every unit that a `Quantifiable` can be built
+     * with, including registered ones.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {string[]} The units.
+     */
+    static get units() {
+        return [
+            ...Object.values(time),
+            ...Object.values(volume),
+            ...Object.values(mass),
+            ...Object.values(temperature),
+            ...Object.values(misc),
+            ...registry.keys()
+        ]
+    }
+
+    /**
+     * Adds a unit without touching the built-in ones. A unit
+     * defined by another unit converts through it (e.g. a
+     * dash is 1/8 tsp), otherwise it can only be counted.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string}                 unit           - Symbol of
+     *                                                  the unit.
+     * @param {object}                 [definition]   - How the
+     *                                                  unit converts.
+     * @param {string}                 [definition.base]
+     *                                                - Unit it is
+     *                                                  defined by.
+     * @param {Rational|number|string} [definition.factor=1]
+     *                                                - How many of
+     *                                                  the base make
+     *                                                  one unit.
+     */
+    static register(unit, { base, factor = 1 } = {}) {
+        if (!unit || typeof unit !== 'string') {
+            throw new Error('A unit must be a non-empty string.')
         }
+        if (Quantifiable.units.includes(unit)) {
+            throw new Error(`The unit \`${unit}\` already exists.`)
+        }
+        if (base !== undefined && !Quantifiable.units.includes(base)) {
+            throw new Error(`Unknown unit \`${base}\`.`)
+        }
+        const rational = Rational.from(factor)
+        if (rational.compare(0) <= 0) {
+            throw new Error('The factor of a unit must be positive.')
+        }
+        registry.set(unit, { base, factor: rational })
+    }
+
+    /**
+     * Parses a readable quantity such as '1 1/2' into
+     * a number.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} readable - The readable quantity.
+     * 
+     * @returns {number} The value, `NaN` if it cannot be parsed.
+     */
+    static parse(readable) {
+        const rational = Rational.parse(String(readable))
+        return rational ? rational.valueOf() : NaN
     }
 }
 
+// kitchen units are registered like any other
+Quantifiable.register(kitchen.PINCHES, { base: volume.TEASPOONS, factor: '1/16' })
+Quantifiable.register(kitchen.DASHES, { base: volume.TEASPOONS, factor: '1/8' })
+Quantifiable.register(kitchen.SMIDGENS, { base: volume.TEASPOONS, factor: '1/32' })
+Quantifiable.register(kitchen.STICKS, { base: volume.US_CUPS, factor: '1/2' })
+Quantifiable.register(kitchen.CANS)
+Quantifiable.register(kitchen.CLOVES)
+Quantifiable.register(kitchen.BUNCHES)
+Quantifiable.register(kitchen.SLICES)
+Quantifiable.register(kitchen.PACKAGES)
+
 module.exports = Quantifiable
\ No newline at end of file
@@ -156,6 +156,90 @@ const notFound = (message = 'Not found.', context) => {
     return package
 }
 
+/**
+ * Handles a '406 Not Acceptable' response that occurs when
+ * the resource cannot be represented in any format the
+ * client accepts.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {string|object} message - Response payload.
+ * @param {string|object} context - Additional details if
+ *                                  desired.
+ * 
+ * @return {object} A JSON object containing a quick
+ *                  response.
+ */
+const notAcceptable = (message = 'Not acceptable.', context) => {
+    const status = 406
+    const package = { status, data: { status, message } }
+    if (context) package.data.context = context
+    return package
+}
+
+/**
+ * Handles a '409 Conflict' response that occurs when the
+ * request cannot be carried out in the current state of
+ * the resource.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {string|object} message - Response payload.
+ * @param {string|object} context - Additional details if
+ *                                  desired.
+ * 
+ * @return {object} A JSON object containing a quick
+ *                  response.
+ */
+const conflict = (message = 'Conflict.', context) => {
+    const status = 409
+    const package = { status, data: { status, message } }
+    if (context) package.data.context = context
+    return package
+}
+
+/**
+ * Handles a '413 Payload Too Large' response that occurs
+ * when the client sends more data than the server is
+ * willing to accept.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {string|object} message - Response payload.
+ * @param {string|object} context - Additional details if
+ *                                  desired.
+ * 
+ * @return {object} A JSON object containing a quick
+ *                  response.
+ */
+const payloadTooLarge = (message = 'Payload too large.', context) => {
+    const status = 413
+    const package = { status, data: { status, message } }
+    if (context) package.data.context = context
+    return package
+}
+
+/**
+ * Handles a '416 Range Not Satisfiable' response that
+ * occurs when the client asks for part of a file that
+ * lies outside of it.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ *
+ * @param {string|object} message - Response payload.
+ * @param {string|object} context - Additional details if
+ *                                  desired.
+ * 
+ * @return {object} A JSON object containing a quick
+ *                  response.
+ */
+const rangeNotSatisfiable = (message = 'Range not satisfiable.', context) => {
+    const status = 416
+    const package = { status, data: { status, message } }
+    if (context) package.data.context = context
+    return package
+}
+
 /**
  * Handles a '500 Internal Server Error' response that
  * occurs when an unexpected error occurs on the
@@ -201,6 +285,10 @@ const quickResponse = (code, message, context) => {
         case 401: return unauthorized(message, context)
         case 403: return forbidden(message, context)
         case 404: return notFound(message, context)
+        case 406: return notAcceptable(message, context)
+        case 409: return conflict(message, context)
+        case 413: return payloadTooLarge(message, context)
+        case 416: return rangeNotSatisfiable(message, context)
         case 500: return internalServerError(message, context)
         default: return ok(message, context)
     }
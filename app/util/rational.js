@@ -0,0 +1,313 @@
+/******************************************************
+ * Title:       rational.js                           *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Exact rational numbers for quantities, so that *
+ *     amounts can be added, scaled, and compared     *
+ *     without floating point drift.                  *
+ ******************************************************/
+
+/**
+ * Unicode vulgar fractions keyed by their ASCII form.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const vulgarFractions = {
+    '1/2': '½',
+    '1/3': '⅓',
+    '2/3': '⅔',
+    '1/4': '¼',
+    '3/4': '¾',
+    '1/5': '⅕',
+    '2/5': '⅖',
+    '3/5': '⅗',
+    '4/5': '⅘',
+    '1/6': '⅙',
+    '5/6': '⅚',
+    '1/8': '⅛',
+    '3/8': '⅜',
+    '5/8': '⅝',
+    '7/8': '⅞'
+}
+
+/**
+ * Finds the greatest common divisor of two integers.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {number} a - An integer.
+ * @param {number} b - An integer.
+ * 
+ * @returns {number} The greatest common divisor.
+ */
+const gcd = (a, b) => {
+    a = Math.abs(a)
+    b = Math.abs(b)
+    while (b) [a, b] = [b, a % b]
+    return a
+}
+
+/**
+ * A class to represent a fraction of two integers, always
+ * kept in lowest terms with a positive denominator.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const Rational = class {
+    #numerator
+    #denominator
+
+    constructor(numerator, denominator = 1) {
+        if (!Number.isInteger(numerator) || !Number.isInteger(denominator)) {
+            throw new Error('A `Rational` requires integer parts.')
+        }
+        if (denominator === 0) throw new Error('A `Rational` cannot divide by zero.')
+
+        const divisor = gcd(numerator, denominator) || 1
+        const sign = denominator < 0 ? -1 : 1
+        this.#numerator = sign * numerator / divisor
+        this.#denominator = sign * denominator / divisor
+    }
+
+    get numerator() { return this.#numerator }
+    get denominator() { return this.#denominator }
+
+    /**
+     * Parses text such as '2', '1/3', '4/2', '1 1/2',
+     * '1.25', or '1½'.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} text - The text.
+     * 
+     * @returns {Rational|null} The number, `null` if the text
+     *                          is not one.
+     */
+    static parse(text) {
+        if (text instanceof Rational) return text
+        let normalized = String(text).trim()
+
+        // '1½' reads as '1 1/2'
+        Object.entries(vulgarFractions).forEach(([ascii, symbol]) => {
+            normalized = normalized.replace(symbol, ` ${ascii}`).trim()
+        })
+
+        const mixed = normalized.match(/^(\d+)\s+(\d+)\s*\/\s*(\d+)$/)
+        if (mixed) {
+            const [, whole, numerator, denominator] = mixed.map(Number)
+            if (denominator === 0) return null
+            return new Rational(whole * denominator + numerator, denominator)
+        }
+
+        const fraction = normalized.match(/^(-?\d+)\s*\/\s*(\d+)$/)
+        if (fraction) {
+            const [, numerator, denominator] = fraction.map(Number)
+            if (denominator === 0) return null
+            return new Rational(numerator, denominator)
+        }
+
+        const decimal = normalized.match(/^(-?)(\d*)(?:\.(\d+))?$/)
+        if (decimal && (decimal[2] || decimal[3])) {
+            const [, sign, whole, digits = ''] = decimal
+            const denominator = 10 ** digits.length
+            const numerator = Number(whole || 0) * denominator + Number(digits || 0)
+            return new Rational((sign ? -1 : 1) * numerator, denominator)
+        }
+        return null
+    }
+
+    /**
+     * Finds the simplest fraction that is equal to a
+     * floating point number, within rounding error.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {number|string} number          - The number, or
+     *                                          text to parse.
+     * @param {number} [maxDenominator=10000] - Largest
+     *                                          denominator
+     *                                          to try.
+     * 
+     * @returns {Rational} The closest fraction found.
+     */
+    static from(number, maxDenominator = 10000) {
+        if (number instanceof Rational) return number
+        if (typeof number === 'string') {
+            const parsed = Rational.parse(number)
+            if (parsed) return parsed
+            throw new Error(`"${number}" is not a number.`)
+        }
+        if (!isFinite(number)) throw new Error(`Cannot represent ${number} exactly.`)
+        if (Number.isInteger(number)) return new Rational(number)
+
+        // walk the continued fraction until it is close enough
+        let [h0, h1, k0, k1] = [0, 1, 1, 0]
+        let rest = Math.abs(number)
+        let best = new Rational(Math.round(number))
+        while (true) {
+            const a = Math.floor(rest)
+            ;[h0, h1] = [h1, a * h1 + h0]
+            ;[k0, k1] = [k1, a * k1 + k0]
+            if (k1 > maxDenominator) break
+            best = new Rational(Math.sign(number) * h1, k1)
+            if (Math.abs(Math.abs(number) - h1 / k1) < 1e-9) break
+            rest = 1 / (rest - a)
+            if (!isFinite(rest)) break
+        }
+        return best
+    }
+
+    /**
+     * Adds another number.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} other - The other number.
+     * 
+     * @returns {Rational} The sum.
+     */
+    add(other) {
+        other = Rational.from(other)
+        return new Rational(
+            this.#numerator * other.denominator + other.numerator * this.#denominator,
+            this.#denominator * other.denominator
+        )
+    }
+
+    /**
+     * Subtracts another number.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} other - The other number.
+     * 
+     * @returns {Rational} The difference.
+     */
+    subtract(other) { return this.add(Rational.from(other).multiply(-1)) }
+
+    /**
+     * Multiplies by another number.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} other - The other number.
+     * 
+     * @returns {Rational} The product.
+     */
+    multiply(other) {
+        other = Rational.from(other)
+        return new Rational(
+            this.#numerator * other.numerator,
+            this.#denominator * other.denominator
+        )
+    }
+
+    /**
+     * Divides by another number.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} other - The other number.
+     * 
+     * @returns {Rational} The quotient.
+     */
+    divide(other) {
+        other = Rational.from(other)
+        return this.multiply(new Rational(other.denominator, other.numerator))
+    }
+
+    /**
+     * Compares with another number.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} other - The other number.
+     * 
+     * @returns {number} `-1`, `0`, or `1` if this number is
+     *                   less than, equal to, or greater than
+     *                   the other.
+     */
+    compare(other) {
+        other = Rational.from(other)
+        return Math.sign(
+            this.#numerator * other.denominator - other.numerator * this.#denominator
+        )
+    }
+
+    /**
+     * Checks if another number is equal to this one.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {Rational|number|string} other - The other number.
+     * 
+     * @returns {boolean} True if equal, false if not.
+     */
+    equals(other) { return this.compare(other) === 0 }
+
+    /**
+     * Converts the number to floating point.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {number} The approximate value.
+     */
+    valueOf() { return this.#numerator / this.#denominator }
+
+    /**
+     * Formats the number as a mixed number, such as '1 1/2'.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {string} The mixed number.
+     */
+    toMixed() {
+        const sign = this.#numerator < 0 ? '-' : ''
+        const numerator = Math.abs(this.#numerator)
+        const whole = Math.floor(numerator / this.#denominator)
+        const remainder = numerator % this.#denominator
+        if (remainder === 0) return `${sign}${whole}`
+        if (whole === 0) return `${sign}${remainder}/${this.#denominator}`
+        return `${sign}${whole} ${remainder}/${this.#denominator}`
+    }
+
+    /**
+     * Formats the number with a unicode fraction, such as
+     * '1½', falling back to a mixed number if there is no
+     * such character.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {string} The formatted number.
+     */
+    toUnicode() {
+        const mixed = this.toMixed()
+        const [whole, fraction] = mixed.includes('/')
+            ? mixed.includes(' ') ? mixed.split(' ') : ['', mixed]
+            : [mixed, undefined]
+        if (!fraction) return whole
+        const symbol = vulgarFractions[fraction.replace('-', '')]
+        if (!symbol) return mixed
+        return `${fraction.startsWith('-') ? '-' : ''}${whole}${symbol}`
+    }
+
+    /**
+     * Formats the number the way a cook would write it:
+     * a mixed number for kitchen fractions (halves, thirds,
+     * quarters, sixths, eighths, and sixteenths), or a short
+     * decimal otherwise.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @returns {string} The formatted number.
+     */
+    toString() {
+        if ([1, 2, 3, 4, 6, 8, 16].includes(this.#denominator)) return this.toMixed()
+        return `${parseFloat(this.valueOf().toFixed(2))}`
+    }
+}
+
+module.exports = Rational
\ No newline at end of file
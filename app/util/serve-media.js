@@ -0,0 +1,122 @@
+/******************************************************
+ * Title:       serve-media.js                        *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Sends media fetched by the media service to    *
+ *     the client, with caching headers, conditional  *
+ *     requests and byte ranges.                      *
+ ******************************************************/
+
+const { pipeline } = require('stream')
+const quickResponse = require('./quick-response')
+
+// names are unique per upload, so a copy only needs checking daily
+const cacheControl = 'public, max-age=86400'
+
+/**
+ * Checks an `If-Range` header, which only allows a range
+ * if the client's copy is still the current one.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} ifRange - An entity tag or an HTTP date.
+ * @param {object} file    - Media from the media service.
+ * 
+ * @returns {boolean} Whether the copy is current.
+ */
+const isCurrent = (ifRange, file) => {
+    if (ifRange.includes('"')) return ifRange === file.etag
+    const modified = Math.floor(file.modified.getTime() / 1000) * 1000
+    return Date.parse(ifRange) >= modified
+}
+
+/**
+ * Finds the single range of bytes a client asked for, if
+ * any. Requests for several ranges get the whole file.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req  - Request object from Express.
+ * @param {object} file - Media from the media service.
+ * @param {number} size - Size of the media in bytes.
+ * 
+ * @returns {object|number|undefined} The first and last byte,
+ *                                    -1 if the range is not
+ *                                    satisfiable, or `undefined`
+ *                                    for the whole file.
+ */
+const rangeOf = (req, file, size) => {
+    const ifRange = req.get('If-Range')
+    if (!req.get('Range') || (ifRange && !isCurrent(ifRange, file))) {
+        return undefined
+    }
+    const ranges = req.range(size, { combine: true })
+    if (ranges === -1) return -1
+    if (!Array.isArray(ranges) || ranges.type !== 'bytes' || ranges.length !== 1) {
+        return undefined
+    }
+    return ranges[0]
+}
+
+/**
+ * Streams media to the client, answering with '304 Not
+ * Modified' when the client's copy is current and with
+ * '206 Partial Content' when it asked for a range.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {object} req  - Request object from Express.
+ * @param {object} res  - Response object from Express.
+ * @param {object} file - Media from the media service.
+ */
+const serveMedia = async (req, res, file) => {
+    const validators = {
+        'ETag': file.etag,
+        'Last-Modified': file.modified.toUTCString(),
+        'Cache-Control': cacheControl
+    }
+    res.set(validators).set('Vary', 'Accept')
+    if (req.fresh) return res.status(304).end()
+
+    // the caching headers only describe the media, not an error
+    const fail = () => {
+        Object.keys(validators).forEach(header => res.removeHeader(header))
+        const { status, data } = quickResponse(500)
+        return res.status(status).json(data)
+    }
+
+    let size, read
+    try {
+        ({ size, read } = await file.open())
+    } catch (err) {
+        return fail()
+    }
+
+    const range = rangeOf(req, file, size)
+    if (range === -1) {
+        const message = 'The requested range is outside of the media.'
+        const { status, data } = quickResponse(416, message)
+        return res.set('Content-Range', `bytes */${size}`).status(status).json(data)
+    }
+
+    let stream
+    try {
+        if (req.method !== 'HEAD') stream = await read(range)
+    } catch (err) {
+        return fail()
+    }
+    if (range) {
+        res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${size}`)
+    }
+    res.set('Content-Type', file.mime)
+       .set('Accept-Ranges', 'bytes')
+       .set('Content-Length', String(range ? range.end - range.start + 1 : size))
+    if (!stream) return res.end()
+
+    // headers are already sent, so a failed read can only cut the response, and
+    // a client that goes away must not leave the source open
+    pipeline(stream, res, () => {})
+}
+
+module.exports = serveMedia
\ No newline at end of file
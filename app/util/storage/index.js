@@ -0,0 +1,66 @@
+/******************************************************
+ * Title:       index.js                              *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Picks the driver that media is kept with.      *
+ *     Every driver offers the same methods, so the   *
+ *     media service works with any of them.          *
+ ******************************************************/
+
+const path = require('path')
+const LocalStorage = require('./local')
+
+/**
+ * Names of the available storage drivers.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @enum {string}
+ */
+const drivers = {
+    LOCAL: 'local',
+    S3: 's3'
+}
+
+/**
+ * Creates a storage driver, configured from the
+ * environment.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ * 
+ * @param {string} [driver] - Name of the driver, defaults to
+ *                            `MEDIA_STORAGE` or 'local'.
+ * 
+ * @returns {object} The storage driver.
+ */
+const createStorage = (driver = process.env.MEDIA_STORAGE ?? drivers.LOCAL) => {
+    const env = process.env
+    switch (driver) {
+        case drivers.LOCAL:
+            return new LocalStorage(
+                env.MEDIA_ROOT ?? path.join(__dirname, '..', '..', 'services', 'media')
+            )
+        case drivers.S3: {
+            // only needed when media is kept in a bucket
+            const S3Storage = require('./s3')
+            const hasKeys = env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY
+            return new S3Storage({
+                bucket: env.S3_BUCKET,
+                region: env.S3_REGION ?? 'us-east-1',
+                endpoint: env.S3_ENDPOINT,
+
+                // MinIO does not support bucket subdomains
+                forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+                credentials: hasKeys ? {
+                    accessKeyId: env.S3_ACCESS_KEY_ID,
+                    secretAccessKey: env.S3_SECRET_ACCESS_KEY
+                } : undefined
+            })
+        }
+        default:
+            throw new Error(`Unknown storage driver \`${driver}\`.`)
+    }
+}
+
+module.exports = { drivers, createStorage }
\ No newline at end of file
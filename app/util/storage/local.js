@@ -0,0 +1,162 @@
+/******************************************************
+ * Title:       local.js                              *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Storage driver that keeps media on the local   *
+ *     disk, under a single root directory.           *
+ ******************************************************/
+
+const path = require('path')
+const { createReadStream } = require('fs')
+const { readFile, writeFile, rm, mkdir, readdir, stat } = require('fs/promises')
+
+/**
+ * A class to represent media storage on the local disk.
+ * Keys are paths relative to the root, separated by '/'.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const LocalStorage = class {
+    #root
+
+    constructor(root) { this.#root = path.resolve(root) }
+
+    get name() { return 'local' }
+
+    /**
+     * Finds the file behind a key, refusing keys that would
+     * escape the root (e.g. '../secrets').
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     * 
+     * @returns {string} The path to the file.
+     */
+    #pathOf(key) {
+        const file = path.resolve(this.#root, ...key.split('/'))
+        if (!file.startsWith(this.#root + path.sep)) {
+            throw new Error(`The key \`${key}\` is outside of the storage.`)
+        }
+        return file
+    }
+
+    /**
+     * Reads an object.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     * 
+     * @returns {Buffer|undefined} The bytes, if the object
+     *                             exists.
+     */
+    async read(key) {
+        try {
+            return await readFile(this.#pathOf(key))
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'EISDIR') return undefined
+            throw err
+        }
+    }
+
+    /**
+     * Describes an object without reading it.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     * 
+     * @returns {object|undefined} The size in bytes, the time
+     *                             it was last modified, and a
+     *                             tag that changes with it, if
+     *                             the object exists.
+     */
+    async stat(key) {
+        try {
+            const stats = await stat(this.#pathOf(key))
+            if (!stats.isFile()) return undefined
+            const tag = `${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}`
+            return { size: stats.size, modified: stats.mtime, tag }
+        } catch (err) {
+            if (err.code === 'ENOENT') return undefined
+            throw err
+        }
+    }
+
+    /**
+     * Opens a stream of an object, or of part of it.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key     - The key.
+     * @param {object} [range] - First and last byte to read
+     *                           (e.g. `{ start: 0, end: 99 }`).
+     * 
+     * @returns {stream.Readable} The bytes.
+     */
+    async stream(key, range) {
+        return createReadStream(this.#pathOf(key), { start: range?.start, end: range?.end })
+    }
+
+    /**
+     * Writes an object, replacing any that exists.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key   - The key.
+     * @param {Buffer} bytes - The bytes.
+     */
+    async write(key, bytes) {
+        const file = this.#pathOf(key)
+        await mkdir(path.dirname(file), { recursive: true })
+        await writeFile(file, bytes)
+    }
+
+    /**
+     * Removes an object, if it exists.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     */
+    async remove(key) { await rm(this.#pathOf(key), { force: true }) }
+
+    /**
+     * Removes every object under a prefix.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} prefix - The prefix (e.g. an entity ID).
+     */
+    async removeAll(prefix) {
+        await rm(this.#pathOf(prefix), { recursive: true, force: true })
+    }
+
+    /**
+     * Lists the keys of every object, optionally under a
+     * prefix.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} [prefix] - The prefix (e.g. an entity ID).
+     * 
+     * @returns {string[]} The keys.
+     */
+    async list(prefix) {
+        const dir = prefix ? this.#pathOf(prefix) : this.#root
+        let entries
+        try {
+            entries = await readdir(dir, { recursive: true, withFileTypes: true })
+        } catch (err) {
+            if (err.code === 'ENOENT') return []
+            throw err
+        }
+        return entries.filter(e => e.isFile())
+                      .map(e => path.relative(this.#root, path.join(e.path, e.name)))
+                      .map(file => file.split(path.sep).join('/'))
+    }
+}
+
+module.exports = LocalStorage
\ No newline at end of file
@@ -0,0 +1,181 @@
+/******************************************************
+ * Title:       s3.js                                 *
+ * Author:      Mike Nystoriak (nystoriakm@gmail.com) *
+ * Created:     10/18/2026                            *
+ * Description:                                       *
+ *     Storage driver that keeps media in an S3       *
+ *     compatible bucket (AWS, MinIO, etc.).          *
+ ******************************************************/
+
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3')
+
+/**
+ * A class to represent media storage in an S3 compatible
+ * bucket. Keys are used as object keys as they are.
+ * 
+ * @author Mike Nystoriak <nystoriakm@gmail.com>
+ */
+const S3Storage = class {
+    #client
+    #bucket
+
+    /**
+     * @param {object} options        - Options for the client
+     *                                  (see `S3Client`).
+     * @param {string} options.bucket - Name of the bucket.
+     */
+    constructor({ bucket, ...options }) {
+        if (!bucket) throw new Error('A bucket is required for S3 storage.')
+        this.#client = new S3Client(options)
+        this.#bucket = bucket
+    }
+
+    get name() { return 's3' }
+
+    /**
+     * Reads an object.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     * 
+     * @returns {Buffer|undefined} The bytes, if the object
+     *                             exists.
+     */
+    async read(key) {
+        try {
+            const command = new GetObjectCommand({ Bucket: this.#bucket, Key: key })
+            const { Body } = await this.#client.send(command)
+            return Buffer.from(await Body.transformToByteArray())
+        } catch (err) {
+            if (err.name === 'NoSuchKey') return undefined
+            throw err
+        }
+    }
+
+    /**
+     * Describes an object without reading it.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     * 
+     * @returns {object|undefined} The size in bytes, the time
+     *                             it was last modified, and a
+     *                             tag that changes with it, if
+     *                             the object exists.
+     */
+    async stat(key) {
+        try {
+            const command = new HeadObjectCommand({ Bucket: this.#bucket, Key: key })
+            const head = await this.#client.send(command)
+            const tag = head.ETag.replace(/"/g, '')
+            return { size: head.ContentLength, modified: head.LastModified, tag }
+        } catch (err) {
+            if (err.name === 'NotFound') return undefined
+            throw err
+        }
+    }
+
+    /**
+     * Opens a stream of an object, or of part of it.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key     - The key.
+     * @param {object} [range] - First and last byte to read
+     *                           (e.g. `{ start: 0, end: 99 }`).
+     * 
+     * @returns {stream.Readable} The bytes.
+     */
+    async stream(key, range) {
+        const command = new GetObjectCommand({
+            Bucket: this.#bucket,
+            Key: key,
+            Range: range ? `bytes=${range.start}-${range.end}` : undefined
+        })
+        const { Body } = await this.#client.send(command)
+        return Body
+    }
+
+    /**
+     * Writes an object, replacing any that exists.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key   - The key.
+     * @param {Buffer} bytes - The bytes.
+     */
+    async write(key, bytes) {
+        const command = new PutObjectCommand({ Bucket: this.#bucket, Key: key, Body: bytes })
+        await this.#client.send(command)
+    }
+
+    /**
+     * Removes an object, if it exists.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} key - The key.
+     */
+    async remove(key) {
+        await this.#client.send(new DeleteObjectCommand({ Bucket: this.#bucket, Key: key }))
+    }
+
+    /**
+     * Removes every object under a prefix.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} prefix - The prefix (e.g. an entity ID).
+     */
+    async removeAll(prefix) {
+        const keys = await this.list(prefix)
+
+        // a single request can only delete 1000 objects
+        for (let i = 0; i < keys.length; i += 1000) {
+            const objects = keys.slice(i, i + 1000).map(Key => ({ Key }))
+            const command = new DeleteObjectsCommand({
+                Bucket: this.#bucket,
+                Delete: { Objects: objects, Quiet: true }
+            })
+            await this.#client.send(command)
+        }
+    }
+
+    /**
+     * Lists the keys of every object, optionally under a
+     * prefix.
+     * 
+     * @author Mike Nystoriak <nystoriakm@gmail.com>
+     * 
+     * @param {string} [prefix] - The prefix (e.g. an entity ID).
+     * 
+     * @returns {string[]} The keys.
+     */
+    async list(prefix) {
+        const keys = []
+        let token
+        do {
+            const command = new ListObjectsV2Command({
+                Bucket: this.#bucket,
+                Prefix: prefix ? `${prefix.replace(/\/$/, '')}/` : undefined,
+                ContinuationToken: token
+            })
+            const page = await this.#client.send(command)
+            keys.push(...(page.Contents ?? []).map(o => o.Key))
+            token = page.IsTruncated ? page.NextContinuationToken : undefined
+        } while (token)
+        return keys
+    }
+}
+
+module.exports = S3Storage
\ No newline at end of file